@@ -12,6 +12,8 @@
 const fs   = require('fs');
 const path = require('path');
 
+const { readCSVSync, logCSVReport } = require('./csv-reader');
+
 const DATA_DIR   = process.argv[2] || './engine_data';
 const CSV_FILE   = process.argv[3] || path.join(__dirname, 'stations.csv');
 const OUT_FILE   = process.argv[4] || path.join(__dirname, 'stations.json');
@@ -23,20 +25,6 @@ function extractOperator(sid) {
   return m ? m[1] : 'SNCF';
 }
 
-function parseCsv(filePath) {
-  const lines = fs.readFileSync(filePath, 'utf8').split('\n');
-  const headers = lines[0].split(';');
-  const rows = [];
-  for (let i = 1; i < lines.length; i++) {
-    if (!lines[i].trim()) continue;
-    const vals = lines[i].split(';');
-    const obj = {};
-    for (let j = 0; j < headers.length; j++) obj[headers[j]] = vals[j] || '';
-    rows.push(obj);
-  }
-  return rows;
-}
-
 // ── Extraction de la ville depuis le nom de la gare ───────────────────────────
 // Utilisé pour grouper les gares d'une même ville dans l'autocomplétion.
 // La liste couvre les villes multi-gares connues ; les autres gares reçoivent
@@ -132,7 +120,15 @@ if (!fs.existsSync(CSV_FILE)) {
 }
 
 const stops = JSON.parse(fs.readFileSync(STOPS_FILE, 'utf8'));
-const xfer  = fs.existsSync(XFER_FILE) ? JSON.parse(fs.readFileSync(XFER_FILE, 'utf8')) : {};
+const xfer  = {};  // stopId → [stopId] — liens de correspondance dans la même gare
+if (fs.existsSync(XFER_FILE)) {
+  // Les entrées sont des objets { id, dist, duration, interCity? } (ou des strings
+  // pour un ancien index). Les liens interCity relient des gares distinctes : ignorés.
+  const raw = JSON.parse(fs.readFileSync(XFER_FILE, 'utf8'));
+  for (const [sid, vals] of Object.entries(raw)) {
+    xfer[sid] = vals.filter(v => !v.interCity).map(v => typeof v === 'string' ? v : v.id);
+  }
+}
 
 console.log('  stops.json    : ' + Object.keys(stops).length + ' stops');
 
@@ -212,7 +208,11 @@ for (const [key, vals] of Object.entries(xfer)) {
 console.log('  Liens ES valides: ' + Object.keys(validEsTransfers).length + ' gares SNCF avec stops ES légitimes\n');
 
 // ── Lecture du CSV ────────────────────────────────────────────────────────────
-const csvRows = parseCsv(CSV_FILE);
+const { rows: csvRows, report: csvReport } = readCSVSync(CSV_FILE, {
+  delimiter: ';',
+  required:  ['name', 'slug', 'is_suggestable', 'country', 'latitude', 'longitude'],
+});
+logCSVReport(csvReport, '  ');
 console.log('  stations.csv  : ' + csvRows.length + ' lignes\n');
 
 const stations      = [];
@@ -0,0 +1,236 @@
+/**
+ * Lecteur CSV (RFC 4180) partagé par gtfs-ingest.js et build-stations-index.js
+ *
+ * - champs entre guillemets : séparateurs, retours à la ligne et "" (guillemet
+ *   échappé) à l'intérieur ;
+ * - fins de ligne LF, CRLF ou CR ; BOM UTF-8 ignoré ;
+ * - séparateur imposé ou détecté sur l'en-tête (, ; tabulation |).
+ *
+ * Chaque lecture renvoie un rapport : lignes malformées (nombre de colonnes,
+ * guillemets), colonnes obligatoires absentes, lignes mal encodées (UTF-8
+ * invalide → U+FFFD). Les lignes malformées sont gardées, mais signalées.
+ */
+
+const fs   = require('fs');
+const path = require('path');
+const { StringDecoder } = require('string_decoder');
+
+const DELIMITERS   = [',', ';', '\t', '|'];
+const MAX_EXAMPLES = 10;   // problèmes détaillés par fichier (les autres sont comptés)
+
+// États du découpage
+const FIELD_START = 0, UNQUOTED = 1, QUOTED = 2, QUOTE_IN_QUOTED = 3, AFTER_QUOTE = 4;
+
+// ─── Découpage en enregistrements ─────────────────────────────────────────────
+
+// onRecord(fields, line) pour chaque enregistrement (line = ligne physique de
+// début, à partir de 1) ; onIssue(line, type, detail) pour les anomalies.
+function createTokenizer(delimiter, onRecord, onIssue) {
+  let delim = delimiter || null;
+  let head  = '';          // début du fichier tant que le séparateur n'est pas connu
+  let state = FIELD_START, field = '', fields = [], quotedAny = false;
+  let line = 1, recLine = 1, skipLF = false, first = true, badEncoding = false;
+
+  const endField = (quoted) => {
+    fields.push(quoted ? field : field.trim());
+    field = '';
+  };
+  const endRecord = () => {
+    endField(state === AFTER_QUOTE || state === QUOTE_IN_QUOTED);
+    if (fields.length > 1 || fields[0] !== '' || quotedAny) {
+      if (badEncoding && fields.some(f => f.includes('\uFFFD'))) {
+        onIssue(recLine, 'encoding', 'caractères non UTF-8');
+      }
+      onRecord(fields, recLine);
+    }
+    fields = []; quotedAny = false; state = FIELD_START;
+  };
+
+  function parse(text) {
+    badEncoding = badEncoding || text.includes('\uFFFD');
+    const n = text.length;
+    for (let i = 0; i < n; i++) {
+      let c = text[i];
+
+      if (skipLF) { skipLF = false; if (c === '\n') continue; }
+      if (c === '\r' || c === '\n') {
+        line++;
+        if (c === '\r') skipLF = true;
+        if (state === QUOTED) { field += '\n'; continue; }
+        endRecord();
+        recLine = line;
+        continue;
+      }
+
+      switch (state) {
+        case FIELD_START:
+          if (c === ' ') continue;
+          if (c === '"') { state = QUOTED; quotedAny = true; continue; }
+          state = UNQUOTED;
+          // fallthrough
+        case UNQUOTED: {
+          // avance jusqu'au prochain caractère significatif
+          let j = i;
+          while (j < n) {
+            c = text[j];
+            if (c === delim || c === '\r' || c === '\n' || c === '"') break;
+            j++;
+          }
+          field += text.slice(i, j);
+          i = j - 1;
+          if (j >= n) continue;
+          if (c === '"') {
+            onIssue(recLine, 'malformed', 'guillemet dans un champ non protégé');
+            field += '"'; i = j;
+          } else if (c === delim) {
+            endField(false); state = FIELD_START; i = j;
+          }
+          continue;
+        }
+        case QUOTED: {
+          const j = text.indexOf('"', i);
+          // les fins de ligne dans le champ passent par le cas général (compte des lignes)
+          const nl = text.slice(i, j < 0 ? n : j).search(/[\r\n]/);
+          if (nl >= 0) { field += text.slice(i, i + nl); i += nl - 1; continue; }
+          if (j < 0) { field += text.slice(i); i = n; continue; }
+          field += text.slice(i, j);
+          i = j;
+          state = QUOTE_IN_QUOTED;
+          continue;
+        }
+        case QUOTE_IN_QUOTED:
+          if (c === '"') { field += '"'; state = QUOTED; continue; }
+          state = AFTER_QUOTE;
+          // fallthrough
+        case AFTER_QUOTE:
+          if (c === delim) { endField(true); state = FIELD_START; continue; }
+          if (c === ' ' || c === '\t') continue;
+          onIssue(recLine, 'malformed', 'caractère après un guillemet fermant');
+          field += c;
+          continue;
+      }
+    }
+  }
+
+  return {
+    write(text) {
+      if (first) { text = text.replace(/^\uFEFF/, ''); first = false; }
+      if (!delim) {
+        head += text;
+        const eol = head.search(/[\r\n]/);
+        if (eol < 0) return;
+        delim = detectDelimiter(head.slice(0, eol));
+        text = head; head = '';
+      }
+      parse(text);
+    },
+    end() {
+      if (!delim) { delim = detectDelimiter(head); parse(head); head = ''; }
+      if (state === QUOTED) onIssue(recLine, 'malformed', 'guillemet non refermé en fin de fichier');
+      if (state !== FIELD_START || fields.length) endRecord();
+      return delim;
+    },
+  };
+}
+
+function detectDelimiter(headerLine) {
+  let best = ',', bestCount = 0;
+  for (const d of DELIMITERS) {
+    const count = headerLine.split(d).length - 1;
+    if (count > bestCount) { best = d; bestCount = count; }
+  }
+  return best;
+}
+
+// ─── Lignes → objets + rapport ────────────────────────────────────────────────
+
+function createReader(filePath, onRow, { delimiter, required = [] } = {}) {
+  const report = {
+    file:            path.basename(filePath),
+    rows:            0,
+    missing_columns: [],
+    malformed:       0,
+    encoding:        0,
+    issues:          [],
+  };
+  const issue = (line, type, detail) => {
+    if (type === 'encoding') report.encoding++;
+    else report.malformed++;
+    if (report.issues.length < MAX_EXAMPLES) report.issues.push({ line, type, detail });
+  };
+
+  let headers = null;
+  const tokenizer = createTokenizer(delimiter, (fields, line) => {
+    if (!headers) {
+      headers = fields;
+      report.missing_columns = required.filter(c => !headers.includes(c));
+      return;
+    }
+    if (fields.length !== headers.length) {
+      issue(line, 'malformed', fields.length + ' colonnes au lieu de ' + headers.length);
+    }
+    const obj = {};
+    for (let i = 0; i < headers.length; i++) obj[headers[i]] = fields[i] !== undefined ? fields[i] : '';
+    report.rows++;
+    onRow(obj);
+  }, issue);
+
+  return {
+    report,
+    write: (text) => tokenizer.write(text),
+    end:   () => {
+      report.delimiter = tokenizer.end();
+      if (!headers) report.missing_columns = required.slice();
+      return report;
+    },
+  };
+}
+
+// Lecture en flux : onRow reçoit chaque ligne sans que le fichier soit gardé en
+// mémoire. Résout avec le rapport ; rejette si le fichier ne peut pas être lu.
+function streamCSV(filePath, onRow, options) {
+  return new Promise((resolve, reject) => {
+    if (!fs.existsSync(filePath)) {
+      console.warn('    ⚠  Manquant : ' + path.basename(filePath));
+      return resolve({ file: path.basename(filePath), missing: true, rows: 0 });
+    }
+    const reader  = createReader(filePath, onRow, options);
+    const decoder = new StringDecoder('utf8');
+    fs.createReadStream(filePath)
+      .on('data',  chunk => reader.write(decoder.write(chunk)))
+      .on('end',   () => { reader.write(decoder.end()); resolve(reader.end()); })
+      .on('error', err => reject(new Error('Lecture de ' + filePath + ' impossible : ' + err.message)));
+  });
+}
+
+async function readCSV(filePath, options) {
+  const rows = [];
+  const report = await streamCSV(filePath, row => rows.push(row), options);
+  return { rows, report };
+}
+
+// Variante synchrone (petits fichiers, scripts sans async)
+function readCSVSync(filePath, options) {
+  const rows = [];
+  const reader = createReader(filePath, row => rows.push(row), options);
+  reader.write(fs.readFileSync(filePath, 'utf8'));
+  return { rows, report: reader.end() };
+}
+
+// Affiche les anomalies d'un rapport (rien si le fichier est propre)
+function logCSVReport(report, indent = '    ') {
+  if (report.missing) return;
+  if (report.missing_columns.length) {
+    console.warn(`${indent}❌ ${report.file} : colonnes obligatoires absentes : ${report.missing_columns.join(', ')}`);
+  }
+  const lines = (type) => report.issues.filter(x => x.type === type)
+    .slice(0, 3).map(x => `l. ${x.line} : ${x.detail}`).join(' ; ');
+  if (report.malformed) {
+    console.warn(`${indent}⚠  ${report.file} : ${report.malformed} anomalie(s) de format — ${lines('malformed')}`);
+  }
+  if (report.encoding) {
+    console.warn(`${indent}⚠  ${report.file} : ${report.encoding} ligne(s) mal encodée(s), fichier non UTF-8 ? — ${lines('encoding')}`);
+  }
+}
+
+module.exports = { streamCSV, readCSV, readCSVSync, logCSVReport };
@@ -0,0 +1,185 @@
+/**
+ * Format binaire des trips du moteur (route_trips.bin)
+ *
+ * Écrit par gtfs-ingest.js, lu par server.js. Les stop_times ne sont plus des
+ * objets : trois tableaux typés (arrêt, départ, arrivée) vus directement sur le
+ * Buffer du fichier, sans copie ni JSON.parse. Chaque trip est un petit objet
+ * { trip_id, service_id, train_type, operator, tz, headsign, dep_time_first, st, n } :
+ * ses stop_times sont les indices st .. st+n-1 des tableaux.
+ *
+ * Fichier (little endian, sections alignées sur 4 octets) :
+ *   en-tête    'RTRB', version, nRoutes, nTrips, nStopTimes, taille des chaînes
+ *   chaînes    UTF-8 séparées par \0 (ids d'arrêts, de trips, de routes…)
+ *   routes     Uint32 id, Uint32 premier trip (nRoutes + 1)
+ *   trips      Uint32 id, service, type, opérateur, fuseau, headsign ; Int32 premier
+ *              départ ; Uint32 premier stop_time (nTrips + 1)
+ *   stop_times Uint32 arrêt ; Int32 départ ; Int32 arrivée
+ * La version 1 (sans headsign) reste lisible.
+ */
+
+const fs = require('fs');
+
+const MAGIC   = 'RTRB';
+const VERSION = 2;
+const NO_TIME = -0x80000000;   // heure absente (null)
+const NO_STR  = 0xFFFFFFFF;    // chaîne absente (null)
+
+// ─── Écriture ─────────────────────────────────────────────────────────────────
+
+function writeRouteTrips(file, routeTrips) {
+  const strings = [], strIndex = new Map();
+  const str = (s) => {
+    if (s == null) return NO_STR;
+    s = String(s);
+    if (!strIndex.has(s)) { strIndex.set(s, strings.length); strings.push(s); }
+    return strIndex.get(s);
+  };
+  const time = (t) => (t == null || !isFinite(t)) ? NO_TIME : t;
+
+  const routeIds = Object.keys(routeTrips);
+  const nTrips   = routeIds.reduce((n, rid) => n + routeTrips[rid].length, 0);
+  let nStopTimes = 0;
+  for (const rid of routeIds) for (const t of routeTrips[rid]) nStopTimes += t.stop_times.length;
+
+  const routeId    = new Uint32Array(routeIds.length);
+  const routeTrip0 = new Uint32Array(routeIds.length + 1);
+  const tripCols   = { id: new Uint32Array(nTrips), service: new Uint32Array(nTrips), type: new Uint32Array(nTrips),
+                       op: new Uint32Array(nTrips), tz: new Uint32Array(nTrips), headsign: new Uint32Array(nTrips) };
+  const tripFirst  = new Int32Array(nTrips);
+  const tripSt0    = new Uint32Array(nTrips + 1);
+  const stStop     = new Uint32Array(nStopTimes);
+  const stDep      = new Int32Array(nStopTimes);
+  const stArr      = new Int32Array(nStopTimes);
+
+  let ti = 0, si = 0;
+  routeIds.forEach((rid, ri) => {
+    routeId[ri]    = str(rid);
+    routeTrip0[ri] = ti;
+    for (const t of routeTrips[rid]) {
+      tripCols.id[ti]      = str(t.trip_id);
+      tripCols.service[ti] = str(t.service_id);
+      tripCols.type[ti]    = str(t.train_type);
+      tripCols.op[ti]      = str(t.operator);
+      tripCols.tz[ti]      = str(t.tz);
+      tripCols.headsign[ti] = str(t.headsign || null);
+      tripFirst[ti]        = time(t.dep_time_first);
+      tripSt0[ti]          = si;
+      for (const st of t.stop_times) {
+        stStop[si] = str(st.stop_id);
+        stDep[si]  = time(st.dep_time);
+        stArr[si]  = time(st.arr_time);
+        si++;
+      }
+      ti++;
+    }
+  });
+  routeTrip0[routeIds.length] = ti;
+  tripSt0[nTrips] = si;
+
+  const strBuf = Buffer.from(strings.join('\0'), 'utf8');
+  const header = Buffer.alloc(24);
+  header.write(MAGIC, 0, 'ascii');
+  header.writeUInt32LE(VERSION, 4);
+  header.writeUInt32LE(routeIds.length, 8);
+  header.writeUInt32LE(nTrips, 12);
+  header.writeUInt32LE(nStopTimes, 16);
+  header.writeUInt32LE(strBuf.length, 20);
+
+  const arrays = [routeId, routeTrip0, tripCols.id, tripCols.service, tripCols.type, tripCols.op, tripCols.tz,
+                  tripCols.headsign, tripFirst, tripSt0, stStop, stDep, stArr];
+  const fd = fs.openSync(file, 'w');
+  try {
+    fs.writeSync(fd, header);
+    fs.writeSync(fd, strBuf);
+    fs.writeSync(fd, Buffer.alloc((4 - strBuf.length % 4) % 4));
+    for (const a of arrays) fs.writeSync(fd, Buffer.from(a.buffer, a.byteOffset, a.byteLength));
+  } finally {
+    fs.closeSync(fd);
+  }
+  return { routes: routeIds.length, trips: nTrips, stopTimes: nStopTimes, strings: strings.length };
+}
+
+// ─── Lecture ──────────────────────────────────────────────────────────────────
+
+// → { routeTrips: { routeId: [trip] }, stopTimes: { stopIds, stop, dep, arr } }
+function readRouteTrips(file) {
+  const buf = fs.readFileSync(file);
+  if (buf.toString('ascii', 0, 4) !== MAGIC) throw new Error('Format inconnu : ' + file);
+  const version = buf.readUInt32LE(4);
+  if (version !== VERSION && version !== 1) throw new Error('Version ' + version + ' non supportée : ' + file);
+  const nRoutes = buf.readUInt32LE(8), nTrips = buf.readUInt32LE(12);
+  const nStopTimes = buf.readUInt32LE(16), strLen = buf.readUInt32LE(20);
+
+  const strings = strLen ? buf.toString('utf8', 24, 24 + strLen).split('\0') : [];
+  let off = 24 + strLen + (4 - strLen % 4) % 4;
+  // Vues sur le Buffer : le fichier lu est aligné (Buffer.allocUnsafe ⇒ pool ou ArrayBuffer dédié)
+  const view = (Type, n) => {
+    const a = (buf.byteOffset + off) % Type.BYTES_PER_ELEMENT === 0
+      ? new Type(buf.buffer, buf.byteOffset + off, n)
+      : new Type(buf.buffer.slice(buf.byteOffset + off, buf.byteOffset + off + n * Type.BYTES_PER_ELEMENT));
+    off += n * Type.BYTES_PER_ELEMENT;
+    return a;
+  };
+
+  const routeId    = view(Uint32Array, nRoutes);
+  const routeTrip0 = view(Uint32Array, nRoutes + 1);
+  const tripId     = view(Uint32Array, nTrips);
+  const tripSvc    = view(Uint32Array, nTrips);
+  const tripType   = view(Uint32Array, nTrips);
+  const tripOp     = view(Uint32Array, nTrips);
+  const tripTz     = view(Uint32Array, nTrips);
+  const tripSign   = version >= 2 ? view(Uint32Array, nTrips) : null;
+  const tripFirst  = view(Int32Array,  nTrips);
+  const tripSt0    = view(Uint32Array, nTrips + 1);
+  const stop       = view(Uint32Array, nStopTimes);
+  const dep        = view(Int32Array,  nStopTimes);
+  const arr        = view(Int32Array,  nStopTimes);
+
+  const s = (i) => i === NO_STR ? null : strings[i];
+  const routeTrips = {};
+  for (let r = 0; r < nRoutes; r++) {
+    const trips = [];
+    for (let t = routeTrip0[r]; t < routeTrip0[r + 1]; t++) {
+      trips.push({
+        trip_id:        s(tripId[t]),
+        service_id:     s(tripSvc[t]),
+        dep_time_first: tripFirst[t] === NO_TIME ? Infinity : tripFirst[t],
+        train_type:     s(tripType[t]),
+        operator:       s(tripOp[t]),
+        tz:             s(tripTz[t]),
+        headsign:       tripSign ? s(tripSign[t]) : null,
+        st:             tripSt0[t],
+        n:              tripSt0[t + 1] - tripSt0[t],
+      });
+    }
+    routeTrips[s(routeId[r])] = trips;
+  }
+  return { routeTrips, stopTimes: { stopIds: strings, stop, dep, arr } };
+}
+
+// Même représentation à partir d'un route_trips.json (anciens engine_data)
+function compactRouteTrips(json) {
+  const strings = [], strIndex = new Map();
+  let nStopTimes = 0;
+  for (const trips of Object.values(json)) for (const t of trips) nStopTimes += t.stop_times.length;
+  const stop = new Uint32Array(nStopTimes), dep = new Int32Array(nStopTimes), arr = new Int32Array(nStopTimes);
+
+  let si = 0;
+  const routeTrips = {};
+  for (const [rid, trips] of Object.entries(json)) {
+    routeTrips[rid] = trips.map(({ stop_times, ...t }) => {
+      const st = si;
+      for (const x of stop_times) {
+        if (!strIndex.has(x.stop_id)) { strIndex.set(x.stop_id, strings.length); strings.push(x.stop_id); }
+        stop[si] = strIndex.get(x.stop_id);
+        dep[si]  = x.dep_time ?? NO_TIME;
+        arr[si]  = x.arr_time ?? NO_TIME;
+        si++;
+      }
+      return { ...t, st, n: stop_times.length };
+    });
+  }
+  return { routeTrips, stopTimes: { stopIds: strings, stop, dep, arr } };
+}
+
+module.exports = { NO_TIME, writeRouteTrips, readRouteTrips, compactRouteTrips };
@@ -0,0 +1,84 @@
+/**
+ * Anomalies d'un flux GTFS
+ *
+ * Relevées par ingestOperator (gtfs-ingest.js) pendant la lecture d'un flux,
+ * écrites dans validation_report.json et affichées par gtfs-validate.js.
+ * Chaque anomalie a un code, une gravité et quelques exemples ; un seuil de
+ * gravité (--fail-on=error|warning|info) permet de faire échouer le build.
+ */
+
+const SEVERITIES   = ['info', 'warning', 'error'];   // par gravité croissante
+const MAX_EXAMPLES = 5;
+
+const ANOMALIES = {
+  csv_missing_columns:      { severity: 'error',   label: 'colonnes obligatoires absentes' },
+  csv_malformed:            { severity: 'warning', label: 'lignes CSV malformées' },
+  csv_encoding:             { severity: 'warning', label: 'lignes mal encodées (non UTF-8)' },
+  stop_times_orphan_trip:   { severity: 'warning', label: 'stop_times sans trip dans trips.txt' },
+  stop_times_unknown_stop:  { severity: 'error',   label: 'stop_times vers un arrêt absent de stops.txt' },
+  stop_zero_coords:         { severity: 'warning', label: 'arrêts sans coordonnées (0,0)' },
+  trip_unknown_service:     { severity: 'error',   label: 'trips dont le service n\'est ni dans calendar ni dans calendar_dates' },
+  service_never_active:     { severity: 'warning', label: 'services sans aucune date de circulation' },
+  trip_too_short:           { severity: 'warning', label: 'trips avec moins de 2 arrêts' },
+  trip_times_decreasing:    { severity: 'warning', label: 'trips dont les heures reculent' },
+  trip_segments_dropped:    { severity: 'error',   label: 'trips coupés, segments abandonnés' },
+  trip_midnight_wrap:       { severity: 'info',    label: 'trips repassant par 00:00, décalés de 24h' },
+};
+
+// Collecteur d'un opérateur : add(code, exemple) puis report()
+function createValidation() {
+  const found = {};
+  return {
+    add(code, example) {
+      if (!ANOMALIES[code]) throw new Error('Anomalie inconnue : ' + code);
+      if (!found[code]) found[code] = { ...ANOMALIES[code], count: 0, examples: [] };
+      found[code].count++;
+      if (example !== undefined && found[code].examples.length < MAX_EXAMPLES) found[code].examples.push(example);
+    },
+    report() {
+      const counts = { error: 0, warning: 0, info: 0 };
+      for (const a of Object.values(found)) counts[a.severity] += a.count;
+      return { counts, anomalies: found };
+    },
+  };
+}
+
+// Anomalies de lecture CSV (rapports de csv-reader.js)
+function addParseReport(validation, parseReport) {
+  for (const r of Object.values(parseReport)) {
+    if (r.missing) continue;
+    if (r.missing_columns.length) validation.add('csv_missing_columns', { file: r.file, columns: r.missing_columns });
+    for (const x of r.issues) {
+      validation.add(x.type === 'encoding' ? 'csv_encoding' : 'csv_malformed', { file: r.file, line: x.line, detail: x.detail });
+    }
+  }
+}
+
+// true si une anomalie atteint la gravité seuil (null : jamais)
+function exceedsThreshold(report, failOn) {
+  if (!failOn) return false;
+  const min = SEVERITIES.indexOf(failOn);
+  return SEVERITIES.some((s, i) => i >= min && report.counts[s] > 0);
+}
+
+function parseFailOn(argv) {
+  const arg = argv.find(a => a.startsWith('--fail-on='));
+  if (!arg) return null;
+  const level = arg.slice('--fail-on='.length);
+  if (!SEVERITIES.includes(level)) throw new Error('--fail-on : ' + SEVERITIES.join(', ') + ' attendu, reçu « ' + level + ' »');
+  return level;
+}
+
+const ICONS = { error: '❌', warning: '⚠ ', info: 'ℹ️ ' };
+
+function logValidation(operatorId, report) {
+  const { counts, anomalies } = report;
+  console.log(`  ${operatorId.padEnd(8)} ${counts.error} erreur(s), ${counts.warning} avertissement(s), ${counts.info} info(s)`);
+  const sorted = Object.entries(anomalies)
+    .sort(([, a], [, b]) => SEVERITIES.indexOf(b.severity) - SEVERITIES.indexOf(a.severity));
+  for (const [code, a] of sorted) {
+    console.log(`    ${ICONS[a.severity]} ${String(a.count).padStart(6)}  ${a.label} (${code})`);
+  }
+}
+
+module.exports = { SEVERITIES, ANOMALIES, createValidation, addParseReport, exceedsThreshold, parseFailOn, logValidation };
@@ -4,22 +4,60 @@
  * Usage :
  *   node gtfs-ingest.js                            ← lit operators.json
  *   node gtfs-ingest.js ./operators.json ./engine_data
+ *   node gtfs-ingest.js --no-cache                 ← réingère tous les opérateurs
+ *   node gtfs-ingest.js --fail-on=error            ← échoue si un flux a une anomalie ≥ error
+ *   node gtfs-ingest.js --dry-run                  ← affiche les routes gardées / écartées, n'ingère rien
  *
- * Filtres appliqués par opérateur (trains longue distance uniquement) :
- *   SNCF  : exclut CAR, NAVETTE, TRAMTRAIN et route_type 3 (bus)
- *   SNCB  : garde uniquement IC, EC, NJ, OTC
- *   TI    : tout (déjà uniquement Frecciarossa)
- *   ES    : tout (Eurostar)
+ * Routes gardées : règles « route_filter » de chaque opérateur dans
+ * operators.json (cf. compileRouteFilter) ; sans règle, tout sauf les bus.
+ * Type de chaque trip (train_type) : règles de train-types.json (cf. train-types.js).
+ *
+ * Fuseaux horaires : chaque trip hérite de l'agency_timezone de son agence,
+ * chaque arrêt de son stop_timezone (à défaut, celui de l'agence). Dans
+ * operators.json, « timezone » force le fuseau des horaires d'un flux qui
+ * ne respecte pas agency_timezone (TI publie en UTC) et « stop_timezone »
+ * celui des arrêts.
+ *
+ * Fréquences : un trip décrit dans frequencies.txt est remplacé par un trip
+ * concret par départ (id <trip_id>@HH:MM:SS).
+ *
+ * Blocs : les trips enchaînés d'un même block_id (train qui change de numéro)
+ * donnent un trip direct <A>+<B>, décrit dans through_trips.json, avec le
+ * trip_headsign du dernier segment.
+ *
+ * Les trips et leurs stop_times sont écrits dans route_trips.bin, format
+ * binaire compact décrit dans engine-data.js (les autres fichiers restent JSON).
+ *
+ * Cache : le résultat intermédiaire de chaque opérateur est gardé dans
+ * <engine_data>/cache/<id>.json avec l'empreinte de ses fichiers GTFS (et de
+ * sa config / de ce script). Un flux inchangé n'est pas réingéré.
+ *
+ * Les anomalies de lecture CSV (lignes malformées, colonnes obligatoires
+ * absentes, encodage) sont affichées et écrites dans parse_report.json ;
+ * les anomalies des flux (cf. feed-validation.js) dans validation_report.json.
  */
 
 const fs       = require('fs');
 const path     = require('path');
-const readline = require('readline');
+const crypto   = require('crypto');
+
+const { writeRouteTrips } = require('./engine-data');
+const { TRAIN_TYPES_FILE, loadTrainTypes } = require('./train-types');
+const { streamCSV, readCSV, logCSVReport } = require('./csv-reader');
+const { createValidation, addParseReport, exceedsThreshold, parseFailOn, logValidation } = require('./feed-validation');
+
+const ARGS      = process.argv.slice(2).filter(a => !a.startsWith('--'));
+const OPS_FILE  = ARGS[0] || './operators.json';
+const OUT_DIR   = ARGS[1] || './engine_data';
+const CACHE_DIR = path.join(OUT_DIR, 'cache');
+const NO_CACHE  = process.argv.includes('--no-cache');
+const FAIL_ON   = parseFailOn(process.argv);   // gravité d'anomalie qui fait échouer l'ingestion
+const DRY_RUN   = process.argv.includes('--dry-run');
 
-const OPS_FILE = process.argv[2] || './operators.json';
-const OUT_DIR  = process.argv[3] || './engine_data';
+const trainTypes = loadTrainTypes();    // types de train par opérateur, cf. train-types.json
 
-if (!fs.existsSync(OUT_DIR)) fs.mkdirSync(OUT_DIR, { recursive: true });
+const DEFAULT_TZ     = 'Europe/Paris';  // si le flux n'a pas d'agency.txt
+const BLOCK_MAX_WAIT = 30 * 60;         // arrêt max. entre deux trips d'un bloc pour rester à bord
 
 // ─── Utilitaires ──────────────────────────────────────────────────────────────
 
@@ -30,6 +68,11 @@ function timeToSeconds(t) {
   return h * 3600 + m * 60 + (s || 0);
 }
 
+function secondsToTime(s) {
+  const h = Math.floor(s / 3600), m = Math.floor(s % 3600 / 60), sec = s % 60;
+  return [h, m, sec].map(v => String(v).padStart(2, '0')).join(':');
+}
+
 function parseGTFSDate(d) {
   const s = String(d).trim();
   const date = new Date(parseInt(s.slice(0,4)), parseInt(s.slice(4,6)) - 1, parseInt(s.slice(6,8)));
@@ -38,76 +81,105 @@ function parseGTFSDate(d) {
 
 const DOW_KEYS = ['sunday','monday','tuesday','wednesday','thursday','friday','saturday'];
 
-async function readCSV(filePath) {
-  return new Promise((resolve) => {
-    if (!fs.existsSync(filePath)) {
-      console.warn('    ⚠  Manquant : ' + path.basename(filePath));
-      return resolve([]);
-    }
-    const rows = []; let headers = null;
-    const rl = readline.createInterface({
-      input: fs.createReadStream(filePath, { encoding: 'utf8' }),
-      crlfDelay: Infinity,
-    });
-    rl.on('line', (line) => {
-      const clean = line.replace(/^\uFEFF/, '').trim();
-      if (!clean) return;
-      const cols = parseCSVLine(clean);
-      if (!headers) { headers = cols; return; }
-      const obj = {};
-      headers.forEach((h, i) => { obj[h] = (cols[i] !== undefined ? cols[i] : '').trim(); });
-      rows.push(obj);
-    });
-    rl.on('close', () => resolve(rows));
-    rl.on('error', () => resolve([]));
+// ─── Filtres de routes (operators.json → route_filter) ───────────────────────
+//
+//   "route_filter": {
+//     "default": "keep",                          ← keep | drop si aucune règle ne s'applique
+//     "rules": [                                  ← la première règle qui s'applique décide
+//       { "action": "drop", "route_type": [3], "note": "bus" },
+//       { "action": "keep", "route_short_name": ["IC", "EC"] },
+//       { "action": "drop", "long_name_regex": "navette|shuttle" }
+//     ]
+//   }
+//
+// Critères d'une règle (tous doivent correspondre) : route_type et
+// route_short_name (valeur ou liste), agency (agency_id ou agency_name),
+// short_name_regex et long_name_regex (insensibles à la casse).
+// Sans route_filter : tout le ferroviaire (route_type 3 = bus écarté).
+
+const DEFAULT_ROUTE_FILTER = { default: 'keep', rules: [{ action: 'drop', route_type: [3], note: 'bus' }] };
+const ROUTE_RULE_KEYS      = ['action', 'note', 'route_type', 'route_short_name', 'agency', 'short_name_regex', 'long_name_regex'];
+
+function compileRouteFilter(op) {
+  const filter = op.route_filter || DEFAULT_ROUTE_FILTER;
+  const where  = `operators.json, ${op.id}, route_filter`;
+  const list   = (v) => v == null ? null : (Array.isArray(v) ? v : [v]).map(x => String(x).trim());
+
+  const defaultAction = filter.default || 'keep';
+  if (defaultAction !== 'keep' && defaultAction !== 'drop') {
+    throw new Error(`${where} : default doit valoir keep ou drop`);
+  }
+  const rules = (filter.rules || []).map((r, i) => {
+    const unknown = Object.keys(r).filter(k => !ROUTE_RULE_KEYS.includes(k));
+    if (unknown.length) throw new Error(`${where}, règle ${i + 1} : critère inconnu ${unknown.join(', ')}`);
+    if (r.action !== 'keep' && r.action !== 'drop') throw new Error(`${where}, règle ${i + 1} : action keep ou drop attendue`);
+
+    const types    = list(r.route_type);
+    const shorts   = list(r.route_short_name);
+    const agencies = list(r.agency);
+    const shortRe  = r.short_name_regex ? new RegExp(r.short_name_regex, 'i') : null;
+    const longRe   = r.long_name_regex  ? new RegExp(r.long_name_regex,  'i') : null;
+    const label    = r.note || Object.entries(r).filter(([k]) => k !== 'action')
+      .map(([k, v]) => k + ' ' + [].concat(v).join(', ')).join(' ; ') || 'toutes les routes';
+
+    return {
+      action: r.action,
+      label,
+      test: (route, agency) =>
+        (!types    || types.includes(String(parseInt(route.route_type) || 0))) &&
+        (!shorts   || shorts.includes((route.route_short_name || '').trim())) &&
+        (!agencies || agencies.includes(agency?.agency_id || route.agency_id || '') ||
+                      agencies.includes(agency?.agency_name || '')) &&
+        (!shortRe  || shortRe.test((route.route_short_name || '').trim())) &&
+        (!longRe   || longRe.test((route.route_long_name || '').trim())),
+    };
   });
+  return { defaultAction, rules };
 }
 
-function parseCSVLine(line) {
-  const result = []; let cur = ''; let inQ = false;
-  for (let i = 0; i < line.length; i++) {
-    const c = line[i];
-    if (c === '"') { inQ = !inQ; }
-    else if (c === ',' && !inQ) { result.push(cur); cur = ''; }
-    else { cur += c; }
+// → { keep, rule } : décision et règle qui l'a prise (null = défaut)
+function applyRouteFilter(filter, route, agency) {
+  for (const rule of filter.rules) {
+    if (rule.test(route, agency)) return { keep: rule.action === 'keep', rule };
   }
-  result.push(cur);
-  return result;
+  return { keep: filter.defaultAction === 'keep', rule: null };
 }
 
-// ─── Filtres par opérateur ────────────────────────────────────────────────────
-
-const SNCF_EXCLUDE_SHORT = new Set(['CAR', 'NAVETTE', 'TRAMTRAIN']);
-const SNCB_KEEP_SHORT    = new Set(['IC', 'EC', 'NJ', 'OTC']);
-
-function shouldKeepRoute(operatorId, r) {
-  const short = (r.route_short_name || '').trim();
-  const rtype = parseInt(r.route_type) || 0;
-
-  switch (operatorId) {
-    case 'SNCF':
-      if (rtype === 3) return false;
-      if (SNCF_EXCLUDE_SHORT.has(short)) return false;
-      return true;
-
-    case 'SNCB':
-      return SNCB_KEEP_SHORT.has(short);
+// Agence d'une route : agency_id, ou l'agence unique du flux
+function routeAgency(agencyRows, route) {
+  return agencyRows.find(a => (a.agency_id || '') === (route.agency_id || '')) ||
+         (agencyRows.length === 1 ? agencyRows[0] : null);
+}
 
-    case 'RENFE': {
-      // ✅ Exclure banlieue/commuter Renfe
-      const s = (r.route_short_name || '').trim().toUpperCase();
-      const RENFE_EXCLUDE = new Set(['PROXIMDAD', 'TRENCELTA', 'FEVE']);
-      if (RENFE_EXCLUDE.has(s)) return false;
-      return rtype !== 3;
+// --dry-run : routes gardées / écartées par chaque règle, sans ingestion
+async function dryRunRouteFilters(op) {
+  console.log(`\n  📂 ${op.name} (${op.id}) — ${op.gtfs_dir}`);
+  if (!fs.existsSync(op.gtfs_dir)) {
+    console.warn(`    ❌ Dossier introuvable : ${op.gtfs_dir}`);
+    return;
+  }
+  const filter = compileRouteFilter(op);
+  const [routes, agencies] = await Promise.all(['routes.txt', 'agency.txt'].map(async (file) => {
+    const { rows, report } = await readCSV(path.join(op.gtfs_dir, file), { required: GTFS_REQUIRED[file] });
+    logCSVReport(report);
+    return rows;
+  }));
+
+  const byRule = new Map([...filter.rules, null].map(rule => [rule, []]));
+  for (const r of routes) byRule.get(applyRouteFilter(filter, r, routeAgency(agencies, r)).rule).push(r);
+
+  const kept = routes.length - [...byRule].reduce((n, [rule, list]) =>
+    n + ((rule ? rule.action : filter.defaultAction) === 'drop' ? list.length : 0), 0);
+  console.log(`    ${routes.length} routes : ${kept} gardées, ${routes.length - kept} écartées`
+    + (op.route_filter ? '' : ' (route_filter par défaut)'));
+
+  for (const [rule, list] of byRule) {
+    const action = rule ? rule.action : filter.defaultAction;
+    const label  = rule ? rule.label : 'par défaut';
+    console.log(`    ${action === 'keep' ? '✓ garde ' : '✗ écarte'} ${String(list.length).padStart(5)}  ${label}`);
+    for (const r of list) {
+      console.log(`        ${r.route_id.padEnd(24)} ${(r.route_short_name || '').padEnd(12)} ${r.route_long_name || ''}`);
     }
-
-    case 'OUIGO_ES':
-      // Tout garder pour OUIGO España
-      return rtype !== 3;
-
-    default:
-      // TI, ES, DB : garder tout le ferroviaire
-      return rtype !== 3;
   }
 }
 
@@ -154,91 +226,70 @@ function buildCalendarIndex(calendarRows, calendarDatesRows, prefix) {
   return index;
 }
 
-// ─── Détection du type de train ───────────────────────────────────────────────
-
-function detectTrainType(operatorId, stopId, tripId, routeShort) {
-  const tid = (tripId || '').toUpperCase();
-
-  switch (operatorId) {
-    case 'SNCF': {
-      const m    = (stopId || '').match(/StopPoint:OCE(.+)-\d{8}$/);
-      const quai = m ? m[1].trim() : '';
-      if (quai === 'OUIGO' || tid.includes('OUIGO')) {
-        const numM = tripId.match(/^OCESN([47]\d{3})/);
-        const num  = numM ? parseInt(numM[1]) : null;
-        if (num !== null) return num >= 7000 ? 'OUIGO' : 'OUIGO_CLASSIQUE';
-        return 'OUIGO';
-      }
-      if (quai === 'TGV INOUI'           || tid.includes('INOUI'))      return 'INOUI';
-      if (quai === 'INTERCITES de nuit')                                 return 'IC_NUIT';
-      if (quai === 'INTERCITES'          || tid.includes('INTERCITES'))  return 'IC';
-      if (quai === 'Lyria'               || tid.includes('LYRIA'))       return 'LYRIA';
-      if (quai === 'ICE')                                                return 'ICE';
-      if (quai === 'Train TER')                                          return 'TER';
-      return 'TRAIN';
-    }
+// ─── Haversine ────────────────────────────────────────────────────────────────
 
-    case 'TI':
-      return 'FRECCIAROSSA';
+function haversine(lat1, lon1, lat2, lon2) {
+  const R    = 6371000;
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLon = (lon2 - lon1) * Math.PI / 180;
+  const a    = Math.sin(dLat/2)**2 +
+               Math.cos(lat1*Math.PI/180) * Math.cos(lat2*Math.PI/180) * Math.sin(dLon/2)**2;
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+}
 
-    case 'ES':
-      return 'EUROSTAR';
+// ─── Durées de correspondance ─────────────────────────────────────────────────
+// Chaque lien du transferIndex porte sa distance (m) et une durée estimée (s).
+// Liens courts : marche. Liens inter-gares : le plus rapide entre la marche et
+// une estimation transport urbain (accès + attente + trajet), sauf si
+// transfer_durations.json donne la durée mesurée entre les deux gares.
 
-    case 'SNCB': {
-      const s = (routeShort || '').toUpperCase();
-      if (s === 'NJ')  return 'NIGHTJET';
-      if (s === 'EC')  return 'EC';
-      if (s === 'OTC') return 'THALYS_CORRIDOR';
-      if (s === 'IC')  return 'IC_SNCB';
-      return 'TRAIN_SNCB';
-    }
+const WALK_SPEED    = 1.1;      // m/s — piéton avec bagages
+const WALK_DETOUR   = 1.3;      // couloirs, escaliers, traversées vs vol d'oiseau
+const URBAN_ACCESS  = 15 * 60;  // descente métro/RER, attente, remontée
+const URBAN_SPEED   = 6;        // m/s ≈ 22 km/h, vitesse commerciale métro/RER
 
-    case 'DB': {
-      if (tid.includes('ICE'))                      return 'ICE';
-      if (tid.includes('IC'))                       return 'IC_DB';
-      if (tid.includes('EC'))                       return 'EC';
-      if (tid.includes('NJ') || tid.includes('NIGHT')) return 'NIGHTJET';
-      return 'TRAIN_DB';
-    }
+function walkDuration(dist) {
+  return Math.ceil(dist * WALK_DETOUR / WALK_SPEED / 60) * 60;
+}
 
-    case 'RENFE': {
-      // ✅ Les trip_id Renfe sont numériques → on utilise route_short_name
-      const rs = (routeShort || '').trim().toUpperCase();
-      if (rs === 'AVE INT')   return 'AVE_INT';
-      if (rs === 'AVE')       return 'AVE';
-      if (rs === 'AVLO')      return 'AVLO';
-      if (rs === 'ALVIA')     return 'ALVIA';
-      if (rs === 'AVANT EXP') return 'AVANT';
-      if (rs === 'AVANT')     return 'AVANT';
-      if (rs === 'EUROMED')   return 'EUROMED';
-      if (rs === 'INTERCITY') return 'INTERCITY_ES';
-      if (rs === 'MD')        return 'MD';
-      if (rs === 'REG.EXP.')  return 'REG_EXP';
-      if (rs === 'REGIONAL')  return 'REGIONAL_ES';
-      if (rs === 'TRENCELTA') return 'REGIONAL_ES';
-      if (rs === 'PROXIMDAD') return 'MD';
-      return 'RENFE'; // fallback générique
-    }
+function urbanDuration(dist) {
+  const transit = URBAN_ACCESS + Math.ceil(dist * WALK_DETOUR / URBAN_SPEED / 60) * 60;
+  return Math.min(walkDuration(dist), transit);
+}
 
-    case 'OUIGO_ES': {
-      // OUIGO España — toujours un seul type
-      return 'OUIGO_ES';
+// transfer_durations.json : [{ "from": "Paris Nord", "to": "Paris Gare de Lyon", "duration": 1500 }]
+// (noms de stations.json, durée en secondes, valable dans les deux sens)
+function loadTransferDurations(stations) {
+  const table = new Map();
+  const p = path.join(__dirname, 'transfer_durations.json');
+  if (!fs.existsSync(p)) return table;
+  const byName = new Map(stations.map(s => [s.name, s]));
+  for (const e of JSON.parse(fs.readFileSync(p, 'utf8'))) {
+    const a = byName.get(e.from), b = byName.get(e.to);
+    if (!a || !b) { console.warn(`  ⚠  Durée inter-gares : gare inconnue « ${!a ? e.from : e.to} »`); continue; }
+    for (const idA of (a.stopIds || [])) for (const idB of (b.stopIds || [])) {
+      table.set(idA + '>' + idB, e.duration);
+      table.set(idB + '>' + idA, e.duration);
     }
-
-    default:
-      return 'TRAIN';
   }
+  console.log(`  ⏱  ${table.size / 2} paires d'arrêts depuis transfer_durations.json`);
+  return table;
 }
 
-// ─── Haversine ────────────────────────────────────────────────────────────────
+function stopDistance(stopsDict, a, b) {
+  const s1 = stopsDict[a], s2 = stopsDict[b];
+  if (!s1?.lat || !s2?.lat) return null;
+  return haversine(s1.lat, s1.lon, s2.lat, s2.lon);
+}
 
-function haversine(lat1, lon1, lat2, lon2) {
-  const R    = 6371000;
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLon = (lon2 - lon1) * Math.PI / 180;
-  const a    = Math.sin(dLat/2)**2 +
-               Math.cos(lat1*Math.PI/180) * Math.cos(lat2*Math.PI/180) * Math.sin(dLon/2)**2;
-  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+// Ajoute le lien a → b s'il n'existe pas encore, avec distance et durée de marche
+function addTransferLink(transferIndex, stopsDict, a, b, extra) {
+  if (!transferIndex[a]) transferIndex[a] = [];
+  if (transferIndex[a].some(x => x.id === b)) return false;
+  const dist = stopDistance(stopsDict, a, b);
+  const link = { id: b, dist: dist == null ? null : Math.round(dist), duration: dist == null ? null : walkDuration(dist) };
+  transferIndex[a].push(extra ? { ...link, ...extra } : link);
+  return true;
 }
 
 // ─── Index de transfert inter-opérateurs ─────────────────────────────────────
@@ -264,10 +315,8 @@ function buildTransferIndex(stopsDict) {
       for (let ci = 0; ci < children.length; ci++) {
         for (let cj = ci + 1; cj < children.length; cj++) {
           const a = children[ci], b = children[cj];
-          if (!transferIndex[a]) transferIndex[a] = [];
-          if (!transferIndex[b]) transferIndex[b] = [];
-          if (!transferIndex[a].includes(b)) { transferIndex[a].push(b); parentLinks++; }
-          if (!transferIndex[b].includes(a)) { transferIndex[b].push(a); parentLinks++; }
+          if (addTransferLink(transferIndex, stopsDict, a, b)) parentLinks++;
+          if (addTransferLink(transferIndex, stopsDict, b, a)) parentLinks++;
         }
       }
     }
@@ -281,10 +330,8 @@ function buildTransferIndex(stopsDict) {
       const s2   = stopsDict[ids[j]];
       const dist = haversine(s1.lat, s1.lon, s2.lat, s2.lon);
       if (dist < 300) {
-        if (!transferIndex[ids[i]]) transferIndex[ids[i]] = [];
-        if (!transferIndex[ids[j]]) transferIndex[ids[j]] = [];
-        if (!transferIndex[ids[i]].includes(ids[j])) transferIndex[ids[i]].push(ids[j]);
-        if (!transferIndex[ids[j]].includes(ids[i])) transferIndex[ids[j]].push(ids[i]);
+        addTransferLink(transferIndex, stopsDict, ids[i], ids[j]);
+        addTransferLink(transferIndex, stopsDict, ids[j], ids[i]);
       }
     }
   }
@@ -299,12 +346,8 @@ function buildTransferIndex(stopsDict) {
       if (!station.stopIds || station.stopIds.length < 2) continue;
       for (const idA of station.stopIds) {
         if (!stopsDict[idA]) continue;
-        if (!transferIndex[idA]) transferIndex[idA] = [];
         for (const idB of station.stopIds) {
-          if (idA !== idB && stopsDict[idB] && !transferIndex[idA].includes(idB)) {
-            transferIndex[idA].push(idB);
-            manualLinks++;
-          }
+          if (idA !== idB && stopsDict[idB] && addTransferLink(transferIndex, stopsDict, idA, idB)) manualLinks++;
         }
       }
     }
@@ -313,10 +356,16 @@ function buildTransferIndex(stopsDict) {
 
   // 3. Correspondances inter-gares dans la même ville (via stations.json + champ city)
   //    Ex : Paris Montparnasse ↔ Paris Gare du Nord — même ville, gares différentes
-  //    Ces liens sont marqués { id, interCity: true } pour que server.js applique
-  //    un temps de correspondance spécifique (MIN_TRANSFER_CITY, ex : 45 min).
+  //    Ces liens sont marqués { id, interCity: true } ; leur durée vient de
+  //    transfer_durations.json ou, à défaut, de l'estimation transport urbain.
   if (fs.existsSync(stationsPath)) {
-    const stations = JSON.parse(fs.readFileSync(stationsPath, 'utf8'));
+    const stations  = JSON.parse(fs.readFileSync(stationsPath, 'utf8'));
+    const durations = loadTransferDurations(stations);
+    const cityLink  = (a, b) => {
+      if (durations.has(a + '>' + b)) return { interCity: true, duration: durations.get(a + '>' + b) };
+      const dist = stopDistance(stopsDict, a, b);
+      return { interCity: true, duration: dist == null ? null : urbanDuration(dist) };
+    };
 
     // Regrouper les stations par ville + pays
     const cityGroups = new Map();
@@ -339,18 +388,9 @@ function buildTransferIndex(stopsDict) {
             if (!stopsDict[idA]) continue;
             for (const idB of (group[gj].stopIds || [])) {
               if (!stopsDict[idB]) continue;
-              if (!transferIndex[idA]) transferIndex[idA] = [];
-              if (!transferIndex[idB]) transferIndex[idB] = [];
-              // On stocke un objet { id, interCity:true } pour distinguer ces liens
-              // des correspondances quai-à-quai normales
-              if (!transferIndex[idA].some(x => (x.id || x) === idB)) {
-                transferIndex[idA].push({ id: idB, interCity: true });
-                cityLinks++;
-              }
-              if (!transferIndex[idB].some(x => (x.id || x) === idA)) {
-                transferIndex[idB].push({ id: idA, interCity: true });
-                cityLinks++;
-              }
+              // interCity:true distingue ces liens des correspondances quai-à-quai
+              if (addTransferLink(transferIndex, stopsDict, idA, idB, cityLink(idA, idB))) cityLinks++;
+              if (addTransferLink(transferIndex, stopsDict, idB, idA, cityLink(idB, idA))) cityLinks++;
             }
           }
         }
@@ -363,8 +403,66 @@ function buildTransferIndex(stopsDict) {
   return transferIndex;
 }
 
+// ─── Règles de correspondance ─────────────────────────────────────────────────
+
+// transfer_overrides.json : nos propres valeurs, prioritaires sur les flux.
+//   { "from_stop_id", "to_stop_id", "transfer_type", "min_transfer_time" }  ← ids préfixés
+//   { "station": "Paris Gare de Lyon", "min_transfer_time": 900 }          ← toutes les paires de la gare
+function applyTransferOverrides(rules, stopsDict) {
+  const overridesPath = path.join(__dirname, 'transfer_overrides.json');
+  if (!fs.existsSync(overridesPath)) return;
+  const overrides = JSON.parse(fs.readFileSync(overridesPath, 'utf8'));
+
+  const stationsPath = path.join(__dirname, 'stations.json');
+  const stations = fs.existsSync(stationsPath) ? JSON.parse(fs.readFileSync(stationsPath, 'utf8')) : [];
+
+  let count = 0;
+  for (const o of overrides) {
+    const rule = { type: o.transfer_type ?? 2 };
+    if (o.min_transfer_time != null) rule.min = o.min_transfer_time;
+
+    if (o.station) {
+      const st = stations.find(s => s.name === o.station);
+      if (!st) { console.warn(`  ⚠  Surcharge : gare inconnue « ${o.station} »`); continue; }
+      const ids = (st.stopIds || []).filter(id => stopsDict[id]);
+      for (const a of ids) for (const b of ids) { rules.stops[a + '>' + b] = rule; count++; }
+    } else if (o.from_stop_id && o.to_stop_id) {
+      rules.stops[o.from_stop_id + '>' + o.to_stop_id] = rule;
+      count++;
+    }
+  }
+  console.log(`  ✏  ${count} règles depuis transfer_overrides.json`);
+}
+
+// Une règle non interdite entre deux arrêts distincts implique que la
+// correspondance existe : on l'ajoute à l'index si la proximité ne l'a pas créée.
+function linkTransferRules(rules, transferIndex, stopsDict) {
+  let added = 0;
+  for (const [key, rule] of Object.entries(rules.stops)) {
+    if (rule.type === 3) continue;
+    const [a, b] = key.split('>');
+    if (a === b || !stopsDict[a] || !stopsDict[b]) continue;
+    if (addTransferLink(transferIndex, stopsDict, a, b)) added++;
+  }
+  console.log(`  🔁 ${added} correspondances ajoutées depuis transfers.txt`);
+}
+
 // ─── Ingestion d'un opérateur ─────────────────────────────────────────────────
 
+// Colonnes sans lesquelles un fichier est inexploitable (signalées dans le rapport)
+const GTFS_REQUIRED = {
+  'stop_times.txt':     ['trip_id', 'stop_id', 'stop_sequence', 'arrival_time', 'departure_time'],
+  'trips.txt':          ['route_id', 'service_id', 'trip_id'],
+  'stops.txt':          ['stop_id', 'stop_name', 'stop_lat', 'stop_lon'],
+  'routes.txt':         ['route_id', 'route_type'],
+  'calendar.txt':       ['service_id', ...DOW_KEYS, 'start_date', 'end_date'],
+  'calendar_dates.txt': ['service_id', 'date', 'exception_type'],
+  'agency.txt':         ['agency_timezone'],
+  'transfers.txt':      ['transfer_type'],
+  'frequencies.txt':    ['trip_id', 'start_time', 'end_time', 'headway_secs'],
+  'feed_info.txt':      ['feed_publisher_name', 'feed_publisher_url', 'feed_lang'],
+};
+
 async function ingestOperator(op) {
   const { id: operatorId, name, gtfs_dir } = op;
   const P = (rawId) => operatorId + ':' + rawId;
@@ -376,32 +474,61 @@ async function ingestOperator(op) {
     return null;
   }
 
-  const [stopTimesRaw, tripsRaw, stopsRaw, routesRawAll, calendarRaw, calendarDatesRaw] = await Promise.all([
-    readCSV(path.join(gtfs_dir, 'stop_times.txt')),
-    readCSV(path.join(gtfs_dir, 'trips.txt')),
-    readCSV(path.join(gtfs_dir, 'stops.txt')),
-    readCSV(path.join(gtfs_dir, 'routes.txt')),
-    readCSV(path.join(gtfs_dir, 'calendar.txt')),
-    readCSV(path.join(gtfs_dir, 'calendar_dates.txt')),
+  // Rapport de lecture par fichier (parse_report.json)
+  const parseReport = {};
+  const read = async (file) => {
+    const { rows, report } = await readCSV(path.join(gtfs_dir, file), { required: GTFS_REQUIRED[file] });
+    parseReport[file] = report;
+    return rows;
+  };
+
+  // stop_times.txt n'est pas chargé ici : il est lu en flux une fois les trips filtrés
+  const [tripsRaw, stopsRaw, routesRawAll, calendarRaw, calendarDatesRaw, agencyRaw, transfersRaw] = await Promise.all([
+    read('trips.txt'),
+    read('stops.txt'),
+    read('routes.txt'),
+    read('calendar.txt'),
+    read('calendar_dates.txt'),
+    read('agency.txt'),
+    read('transfers.txt'),
   ]);
+  // frequencies.txt et feed_info.txt sont facultatifs : pas d'avertissement s'ils manquent
+  const optional = (file) => fs.existsSync(path.join(gtfs_dir, file)) ? read(file) : [];
+  const frequenciesRaw = await optional('frequencies.txt');
+  const feedInfoRaw    = await optional('feed_info.txt');
+  for (const report of Object.values(parseReport)) logCSVReport(report);
+
+  const validation  = createValidation();
+  const feedTripIds = new Set(tripsRaw.map(t => t.trip_id));
+  const feedStopIds = new Set(stopsRaw.map(s => s.stop_id));
 
-  console.log(`    stop_times brut : ${stopTimesRaw.length.toLocaleString()}`);
   console.log(`    trips brut      : ${tripsRaw.length.toLocaleString()}`);
   console.log(`    routes brut     : ${routesRawAll.length.toLocaleString()}`);
 
   // ── Filtre routes : longue distance uniquement ──
-  const routesRaw = routesRawAll.filter(r => shouldKeepRoute(operatorId, r));
-  console.log(`    routes gardées  : ${routesRaw.length.toLocaleString()} (filtre longue distance)`);
+  const routeFilter = compileRouteFilter(op);
+  const routesRaw   = routesRawAll.filter(r => applyRouteFilter(routeFilter, r, routeAgency(agencyRaw, r)).keep);
+  console.log(`    routes gardées  : ${routesRaw.length.toLocaleString()} (route_filter${op.route_filter ? '' : ' par défaut'})`);
 
   const keptRouteIds = new Set(routesRaw.map(r => r.route_id));
 
+  // ── Fuseaux horaires ──
+  const agencyTz  = {};
+  for (const a of agencyRaw) if (a.agency_timezone) agencyTz[a.agency_id || ''] = a.agency_timezone;
+  const feedTz    = agencyRaw.find(a => a.agency_timezone)?.agency_timezone || DEFAULT_TZ;
+  const routeTz   = {};
+  for (const r of routesRawAll) {
+    routeTz[r.route_id] = op.timezone || agencyTz[r.agency_id || ''] || feedTz;
+  }
+  const stopTzDefault = op.stop_timezone || feedTz;
+  console.log(`    fuseau          : ${op.timezone || feedTz}${op.timezone ? ' (forcé)' : ''}`);
+
   // ── Calendrier ──
   const calendarIndex = buildCalendarIndex(calendarRaw, calendarDatesRaw, operatorId);
   console.log(`    dates GTFS      : ${Object.keys(calendarIndex).length}`);
 
   // ── Routes ──
   const routeInfo    = {};
-  const routeTypeMap = {};
   for (const r of routesRaw) {
     routeInfo[P(r.route_id)] = {
       short:    r.route_short_name || '',
@@ -409,27 +536,58 @@ async function ingestOperator(op) {
       type:     parseInt(r.route_type) || 0,
       operator: operatorId,
     };
-    routeTypeMap[r.route_id] = r.route_short_name || '';
   }
 
   // ── Trips filtrés ──
   const tripToService  = {};
   const tripToRoute    = {};
   const tripToHeadsign = {};
+  const tripToBlock    = {};
   for (const t of tripsRaw) {
     if (!keptRouteIds.has(t.route_id)) continue;
     tripToService[t.trip_id]  = P(t.service_id);
     tripToRoute[t.trip_id]    = P(t.route_id);
     tripToHeadsign[t.trip_id] = t.trip_headsign || '';
+    if (t.block_id) tripToBlock[t.trip_id] = t.block_id;
   }
   const validTripIds = new Set(Object.keys(tripToRoute));
   console.log(`    trips gardés    : ${validTripIds.size.toLocaleString()}`);
 
-  // ── Stops : uniquement ceux utilisés ──
-  const usedStopIds = new Set();
-  for (const st of stopTimesRaw) {
-    if (validTripIds.has(st.trip_id)) usedStopIds.add(st.stop_id);
+  // Services des trips gardés : déclarés ? circulent au moins un jour ?
+  const feedServices   = new Set([...calendarRaw, ...calendarDatesRaw].map(c => c.service_id));
+  const activeServices = new Set(Object.values(calendarIndex).flat());
+  const idleServices   = new Set();
+  for (const t of tripsRaw) {
+    if (!validTripIds.has(t.trip_id)) continue;
+    if (!feedServices.has(t.service_id)) {
+      validation.add('trip_unknown_service', { trip_id: t.trip_id, service_id: t.service_id });
+    } else if (!activeServices.has(P(t.service_id)) && !idleServices.has(t.service_id)) {
+      idleServices.add(t.service_id);
+      validation.add('service_never_active', { service_id: t.service_id });
+    }
   }
+
+  // ── Stop times → tripStops (flux, seuls les trips gardés sont conservés) ──
+  const tripStops   = {};
+  const usedStopIds = new Set();
+  const stopTimesReport = await streamCSV(path.join(gtfs_dir, 'stop_times.txt'), (st) => {
+    if (!feedTripIds.has(st.trip_id)) validation.add('stop_times_orphan_trip', { trip_id: st.trip_id, stop_id: st.stop_id });
+    if (!validTripIds.has(st.trip_id)) return;
+    if (!feedStopIds.has(st.stop_id)) validation.add('stop_times_unknown_stop', { trip_id: st.trip_id, stop_id: st.stop_id });
+    usedStopIds.add(st.stop_id);
+    if (!tripStops[st.trip_id]) tripStops[st.trip_id] = [];
+    tripStops[st.trip_id].push({
+      seq:      parseInt(st.stop_sequence) || 0,
+      stop_id:  P(st.stop_id),
+      dep_time: timeToSeconds(st.departure_time),
+      arr_time: timeToSeconds(st.arrival_time),
+    });
+  }, { required: GTFS_REQUIRED['stop_times.txt'] });
+  parseReport['stop_times.txt'] = stopTimesReport;
+  logCSVReport(stopTimesReport);
+  console.log(`    stop_times brut : ${stopTimesReport.rows.toLocaleString()}`);
+
+  // ── Stops : uniquement ceux utilisés ──
   const stopsDict = {};
   for (const s of stopsRaw) {
     if (!usedStopIds.has(s.stop_id)) continue;
@@ -440,32 +598,36 @@ async function ingestOperator(op) {
       operator:      operatorId,
       // Conserver le parent_station (avec préfixe opérateur) pour lier les quais entre eux
       parent_station: s.parent_station ? P(s.parent_station) : null,
+      tz:            s.stop_timezone || stopTzDefault,
     };
+    const { lat, lon } = stopsDict[P(s.stop_id)];
+    if (lat === 0 && lon === 0) validation.add('stop_zero_coords', { stop_id: s.stop_id, name: s.stop_name });
   }
   console.log(`    stops gardés    : ${Object.keys(stopsDict).length.toLocaleString()}`);
 
-  // ── Stop times → tripStops ──
-  const tripStops = {};
-  for (const st of stopTimesRaw) {
-    if (!validTripIds.has(st.trip_id)) continue;
-    if (!tripStops[st.trip_id]) tripStops[st.trip_id] = [];
-    tripStops[st.trip_id].push({
-      seq:      parseInt(st.stop_sequence) || 0,
-      stop_id:  P(st.stop_id),
-      dep_time: timeToSeconds(st.departure_time),
-      arr_time: timeToSeconds(st.arrival_time),
-    });
-  }
-
   // ── FIX : correction des trips circulaires (TI) ──
   for (const [trip_id, stops] of Object.entries(tripStops)) {
     stops.sort((a, b) => a.seq - b.seq);
 
+    // Trains de nuit publiés avec des heures qui repassent par 00:00 (23:50 → 00:20)
+    // au lieu de 24:20 : on décale la suite de 24h plutôt que de couper le trip.
+    let wrap = 0, prevT = null;
+    for (const s of stops) {
+      for (const k of ['arr_time', 'dep_time']) {
+        if (s[k] == null) continue;
+        if (prevT != null && s[k] + wrap < prevT - 12 * 3600) wrap += 86400;
+        s[k] += wrap;
+        prevT = s[k];
+      }
+    }
+    if (wrap) validation.add('trip_midnight_wrap', { trip_id });
+
     const segments = [];
-    let segStart = 0;
+    let segStart = 0, decreasing = null;
     for (let i = 1; i < stops.length; i++) {
       const prevTime = stops[i-1].dep_time ?? stops[i-1].arr_time ?? -1;
       const currTime = stops[i].arr_time   ?? stops[i].dep_time   ?? prevTime + 1;
+      if (!decreasing && prevTime >= 0 && currTime < prevTime) decreasing = { trip_id, stop_sequence: stops[i].seq };
       if (prevTime >= 0 && currTime < prevTime - 600) {
         segments.push({ stops: stops.slice(segStart, i) });
         segStart = i;
@@ -494,28 +656,199 @@ async function ingestOperator(op) {
       mergedSegs.sort((a, b) => b.length - a.length);
       mergedSegs[0].sort((a, b) => (a.dep_time ?? a.arr_time ?? 0) - (b.dep_time ?? b.arr_time ?? 0));
       tripStops[trip_id] = mergedSegs[0];
+      if (mergedSegs.length > 1) {
+        validation.add('trip_segments_dropped', { trip_id, kept: mergedSegs[0].length, dropped: stops.length - mergedSegs[0].length });
+      }
     } else {
       stops.sort((a, b) => (a.dep_time ?? a.arr_time ?? 0) - (b.dep_time ?? b.arr_time ?? 0));
     }
+    if (decreasing) validation.add('trip_times_decreasing', decreasing);
+    if (tripStops[trip_id].length < 2) validation.add('trip_too_short', { trip_id, stops: tripStops[trip_id].length });
+  }
+
+  // ── Fréquences (frequencies.txt) : le trip modèle devient un trip par départ ──
+  // exact_times = 1 : départs exacts. exact_times = 0 : service cadencé sans
+  // horaire publié, les départs toutes les headway_secs en sont l'approximation.
+  // Les temps de parcours du modèle sont conservés, décalés à chaque départ.
+  const freqWindows = {};
+  for (const f of frequenciesRaw) {
+    const start   = timeToSeconds(f.start_time);
+    const end     = timeToSeconds(f.end_time);
+    const headway = parseInt(f.headway_secs) || 0;
+    if (!tripStops[f.trip_id] || start == null || end == null || headway <= 0) continue;
+    if (!freqWindows[f.trip_id]) freqWindows[f.trip_id] = [];
+    freqWindows[f.trip_id].push({ start, end, headway });
+  }
+  let freqDepartures = 0;
+  for (const [trip_id, windows] of Object.entries(freqWindows)) {
+    const stops = tripStops[trip_id];
+    const t0    = stops[0].dep_time ?? stops[0].arr_time;
+    if (t0 == null) continue;
+    delete tripStops[trip_id];
+    for (const { start, end, headway } of windows) {
+      for (let dep = start; dep < end; dep += headway) {
+        const id    = trip_id + '@' + secondsToTime(dep);
+        const shift = dep - t0;
+        tripStops[id] = stops.map(s => ({
+          ...s,
+          dep_time: s.dep_time == null ? null : s.dep_time + shift,
+          arr_time: s.arr_time == null ? null : s.arr_time + shift,
+        }));
+        tripToRoute[id]    = tripToRoute[trip_id];
+        tripToService[id]  = tripToService[trip_id];
+        tripToHeadsign[id] = tripToHeadsign[trip_id];
+        freqDepartures++;
+      }
+    }
+  }
+  if (freqDepartures) {
+    console.log(`    fréquences      : ${Object.keys(freqWindows).length} trips modèles → ${freqDepartures.toLocaleString()} départs`);
+  }
+
+  // ── Blocs (block_id) : trains qui changent de numéro en cours de route ──
+  // Deux trips d'un même bloc, le second partant de la gare où arrive le premier
+  // peu après, sont un seul train pour le voyageur. Chaque enchaînement devient
+  // un trip direct A+B… (service propre : les dates où ses trips s'enchaînent),
+  // parcouru par le moteur sans correspondance ; throughTrips décrit ses
+  // segments (trip d'origine, indice de son premier arrêt) pour l'affichage.
+  const serviceDates = {};
+  for (const [date, services] of Object.entries(calendarIndex)) {
+    for (const sv of services) {
+      if (!serviceDates[sv]) serviceDates[sv] = new Set();
+      serviceDates[sv].add(date);
+    }
+  }
+  const firstDep = id => tripStops[id][0].dep_time ?? tripStops[id][0].arr_time;
+  const lastArr  = id => tripStops[id][tripStops[id].length - 1].arr_time ?? tripStops[id][tripStops[id].length - 1].dep_time;
+  const station  = sid => stopsDict[sid]?.parent_station || sid;
+  const tripTz   = id => routeTz[tripToRoute[id].replace(operatorId + ':', '')];
+
+  const byBlock = {};
+  for (const [trip_id, block] of Object.entries(tripToBlock)) {
+    const stops = tripStops[trip_id];
+    if (!stops || stops.length < 2 || firstDep(trip_id) == null || lastArr(trip_id) == null) continue;
+    if (!byBlock[block]) byBlock[block] = [];
+    byBlock[block].push(trip_id);
+  }
+
+  // Successeurs de chaque trip : à chaque date, le premier trip du bloc qui convient
+  const blockNext = {};
+  for (const ids of Object.values(byBlock)) {
+    ids.sort((a, b) => firstDep(a) - firstDep(b));
+    for (const a of ids) {
+      const datesA  = serviceDates[tripToService[a]] || new Set();
+      const claimed = new Set();
+      const endA    = tripStops[a][tripStops[a].length - 1].stop_id;
+      for (const b of ids) {
+        const wait = firstDep(b) - lastArr(a);
+        if (b === a || wait < 0 || wait > BLOCK_MAX_WAIT) continue;
+        if (station(tripStops[b][0].stop_id) !== station(endA) || tripTz(b) !== tripTz(a)) continue;
+        const dates = [...(serviceDates[tripToService[b]] || [])].filter(d => datesA.has(d) && !claimed.has(d));
+        if (!dates.length) continue;
+        for (const d of dates) claimed.add(d);
+        if (!blockNext[a]) blockNext[a] = [];
+        blockNext[a].push({ trip_id: b, dates: new Set(dates) });
+      }
+    }
+  }
+
+  const throughTrips = {};
+  const addThroughTrip = (chain, dates) => {
+    const id       = chain.join('+');
+    const service  = P('block:' + id);
+    const stops    = [];
+    const segments = [];
+    for (const t of chain) {
+      const st = tripStops[t];
+      if (!stops.length) {
+        segments.push({ trip_id: P(t), first: 0 });
+        stops.push(...st.map(s => ({ ...s })));
+        continue;
+      }
+      // Arrêt de jonction : arrivée du trip précédent, départ du suivant. Si le
+      // suivant part d'un autre quai de la gare, les deux quais sont gardés
+      // (le train y passe sans que le voyageur descende).
+      const junction = stops[stops.length - 1];
+      if (junction.stop_id === st[0].stop_id) {
+        junction.dep_time = st[0].dep_time ?? st[0].arr_time;
+        segments.push({ trip_id: P(t), first: stops.length - 1 });
+        stops.push(...st.slice(1).map(s => ({ ...s })));
+      } else {
+        junction.dep_time = junction.arr_time ?? junction.dep_time;
+        segments.push({ trip_id: P(t), first: stops.length });
+        stops.push(...st.map(s => ({ ...s })));
+      }
+    }
+    tripStops[id]      = stops;
+    tripToRoute[id]    = tripToRoute[chain[0]];
+    tripToService[id]  = service;
+    tripToHeadsign[id] = tripToHeadsign[chain[chain.length - 1]];
+    for (const d of dates) calendarIndex[d].push(service);
+    throughTrips[P(id)] = segments;
+  };
+
+  // Un seul trip direct par chaîne maximale (du premier au dernier trip du bloc
+  // ce jour-là) et par jeu de dates : A+B+C, sans les sous-chaînes A+B ni B+C.
+  const nextOn  = (a, d) => (blockNext[a] || []).find(n => n.dates.has(d))?.trip_id;
+  const hasPrev = new Set();   // 'trip|date' : trip précédé d'un autre du bloc ce jour-là
+  for (const nexts of Object.values(blockNext)) {
+    for (const n of nexts) for (const d of n.dates) hasPrev.add(n.trip_id + '|' + d);
+  }
+  const chains = new Map();    // id de la chaîne → { chain, dates }
+  for (const [a, nexts] of Object.entries(blockNext)) {
+    for (const n of nexts) {
+      for (const d of n.dates) {
+        if (hasPrev.has(a + '|' + d)) continue;
+        const chain = [a];
+        for (let t = n.trip_id; t && !chain.includes(t); t = nextOn(t, d)) chain.push(t);
+        const id = chain.join('+');
+        if (!chains.has(id)) chains.set(id, { chain, dates: [] });
+        chains.get(id).dates.push(d);
+      }
+    }
+  }
+  for (const { chain, dates } of chains.values()) addThroughTrip(chain, dates);
+  if (Object.keys(throughTrips).length) {
+    console.log(`    blocs           : ${Object.keys(throughTrips).length.toLocaleString()} trains directs (changement de numéro)`);
   }
 
   // ── RAPTOR structures ──
-  const routesByStop = {};
-  const routeStops   = {};
-  const routeTrips   = {};
+  // Une route RAPTOR = une route GTFS restreinte à une suite d'arrêts (pattern) :
+  // <route_id>#1, #2… dans l'ordre d'apparition. routes_info garde le lien vers
+  // la route GTFS (route_id) et la suite d'arrêts (stops). Le découpage en
+  // chaînes sans dépassement se fait côté serveur, sur les trips du jour.
+  const routesByStop   = {};
+  const routeStops     = {};
+  const routeTrips     = {};
+  const patternRoutes  = {};   // route GTFS → { suite d'arrêts → route RAPTOR }
+  const patternInfo    = {};
 
   for (const [trip_id, stops] of Object.entries(tripStops)) {
-    const route_id   = tripToRoute[trip_id]   || P('unknown');
-    const service_id = tripToService[trip_id] || '';
-    const rawRouteId = route_id.replace(operatorId + ':', '');
-    const routeShort = routeTypeMap[rawRouteId] || '';
-
-    if (!routeStops[route_id] || stops.length > routeStops[route_id].length) {
+    const gtfsRouteId = tripToRoute[trip_id]   || P('unknown');
+    const service_id  = tripToService[trip_id] || '';
+    const rawRouteId  = gtfsRouteId.replace(operatorId + ':', '');
+
+    const seqKey   = stops.map(s => s.stop_id).join('>');
+    const patterns = patternRoutes[gtfsRouteId] || (patternRoutes[gtfsRouteId] = {});
+    if (!patterns[seqKey]) {
+      const route_id = gtfsRouteId + '#' + (Object.keys(patterns).length + 1);
+      patterns[seqKey]     = route_id;
       routeStops[route_id] = stops.map(s => s.stop_id);
+      routeTrips[route_id] = [];
+      patternInfo[route_id] = {
+        ...(routeInfo[gtfsRouteId] || { short: '', long: '', type: 0, operator: operatorId }),
+        route_id: gtfsRouteId,
+        stops:    routeStops[route_id],
+      };
     }
-    if (!routeTrips[route_id]) routeTrips[route_id] = [];
+    const route_id = patterns[seqKey];
 
-    const trainType = detectTrainType(operatorId, stops[0]?.stop_id || '', trip_id, routeShort);
+    const trainType = trainTypes.classify(operatorId, {
+      stopId:     stops[0]?.stop_id || '',
+      tripId:     trip_id,
+      routeShort: routeInfo[gtfsRouteId]?.short,
+      routeLong:  routeInfo[gtfsRouteId]?.long,
+    });
     const firstDep  = stops.find(s => s.dep_time !== null)?.dep_time ?? Infinity;
 
     routeTrips[route_id].push({
@@ -524,6 +857,8 @@ async function ingestOperator(op) {
       dep_time_first: firstDep,
       train_type:     trainType,
       operator:       operatorId,
+      tz:             routeTz[rawRouteId] || feedTz,
+      headsign:       tripToHeadsign[trip_id] || null,
       stop_times:     stops,
     });
 
@@ -536,17 +871,128 @@ async function ingestOperator(op) {
   for (const rid of Object.keys(routeTrips)) {
     routeTrips[rid].sort((a, b) => a.dep_time_first - b.dep_time_first);
   }
+  const patternCounts = Object.values(patternRoutes).map(p => Object.keys(p).length);
+  const splitRoutes   = patternCounts.filter(n => n > 1).length;
 
   const routesByStopSerial = {};
   for (const [stop, routes] of Object.entries(routesByStop)) {
     routesByStopSerial[stop] = [...routes];
   }
 
+  // ── Correspondances (transfers.txt) ──
+  // Règles par paire de trips, de routes ou d'arrêts (la plus spécifique gagne
+  // côté serveur). transfer_type : 0 recommandée, 1 garantie, 2 temps minimum, 3 interdite.
+  const transferRules = { stops: {}, trips: {}, routes: {} };
+  for (const t of transfersRaw) {
+    const rule = { type: parseInt(t.transfer_type) || 0 };
+    if (t.min_transfer_time) rule.min = parseInt(t.min_transfer_time) || 0;
+    if (t.from_trip_id && t.to_trip_id) {
+      transferRules.trips[P(t.from_trip_id) + '>' + P(t.to_trip_id)] = rule;
+    } else if (t.from_route_id && t.to_route_id) {
+      transferRules.routes[P(t.from_route_id) + '>' + P(t.to_route_id)] = rule;
+    } else if (t.from_stop_id && t.to_stop_id) {
+      transferRules.stops[P(t.from_stop_id) + '>' + P(t.to_stop_id)] = rule;
+    }
+  }
+
   const totalTrips = Object.values(routeTrips).reduce((s, t) => s + t.length, 0);
   console.log(`    trips RAPTOR    : ${totalTrips.toLocaleString()}`);
-  console.log(`    routes RAPTOR   : ${Object.keys(routeInfo).length.toLocaleString()}`);
+  console.log(`    routes RAPTOR   : ${Object.keys(patternInfo).length.toLocaleString()} patterns (${splitRoutes.toLocaleString()} routes GTFS découpées)`);
+  console.log(`    transfers.txt   : ${transfersRaw.length.toLocaleString()} règles`);
+
+  // ── Métadonnées opérateur (agency.txt, feed_info.txt) pour /api/operators ──
+  const isoDate = d => /^\d{8}$/.test(d || '') ? d.slice(0, 4) + '-' + d.slice(4, 6) + '-' + d.slice(6, 8) : null;
+  const feed    = feedInfoRaw[0];
+  const dates   = Object.keys(calendarIndex).filter(d => calendarIndex[d].length).sort();
+  const operatorInfo = {
+    id:       operatorId,
+    name,
+    agencies: agencyRaw.map(a => ({
+      id:       a.agency_id || null,
+      name:     a.agency_name || null,
+      url:      a.agency_url || null,
+      phone:    a.agency_phone || null,
+      lang:     a.agency_lang || null,
+      timezone: a.agency_timezone || null,
+      fare_url: a.agency_fare_url || null,
+    })),
+    feed: feed ? {
+      publisher:  feed.feed_publisher_name || null,
+      url:        feed.feed_publisher_url || null,
+      lang:       feed.feed_lang || null,
+      version:    feed.feed_version || null,
+      start_date: isoDate(feed.feed_start_date),
+      end_date:   isoDate(feed.feed_end_date),
+      contact:    feed.feed_contact_email || feed.feed_contact_url || null,
+    } : null,
+    timezone: op.timezone || feedTz,
+    counts: {
+      trips:  totalTrips - Object.keys(throughTrips).length,
+      stops:  Object.keys(stopsDict).length,
+      routes: Object.keys(patternRoutes).length,
+    },
+    validity: { first: dates[0] || null, last: dates[dates.length - 1] || null },
+  };
+
+  addParseReport(validation, parseReport);
 
-  return { stopsDict, routeInfo, routesByStopSerial, routeStops, routeTrips, calendarIndex };
+  return {
+    stopsDict, routeInfo: patternInfo, routesByStopSerial, routeStops, routeTrips, calendarIndex, transferRules,
+    throughTrips, operatorInfo, parseReport, validation: validation.report(),
+  };
+}
+
+// ─── Cache par opérateur ──────────────────────────────────────────────────────
+
+const GTFS_FILES = ['stop_times.txt', 'trips.txt', 'stops.txt', 'routes.txt', 'calendar.txt',
+                    'calendar_dates.txt', 'agency.txt', 'transfers.txt', 'frequencies.txt', 'feed_info.txt'];
+
+// Empreinte d'un flux : fichiers GTFS + entrée operators.json + ce script et
+// ses modules (un changement de filtre, de type de train ou de format invalide le cache)
+const INGEST_SOURCES = [__filename, require.resolve('./csv-reader'), require.resolve('./feed-validation'),
+                        require.resolve('./train-types'), TRAIN_TYPES_FILE];
+
+async function feedHash(op) {
+  const hash = crypto.createHash('sha1');
+  for (const f of INGEST_SOURCES) hash.update(fs.readFileSync(f));
+  hash.update(JSON.stringify(op));
+  for (const f of GTFS_FILES) {
+    const p = path.join(op.gtfs_dir, f);
+    hash.update('\0' + f + '\0');
+    if (!fs.existsSync(p)) continue;
+    await new Promise((resolve, reject) => {
+      fs.createReadStream(p)
+        .on('data', chunk => hash.update(chunk))
+        .on('end', resolve)
+        .on('error', reject);
+    });
+  }
+  return hash.digest('hex');
+}
+
+async function ingestOperatorCached(op) {
+  if (!fs.existsSync(op.gtfs_dir)) return ingestOperator(op);
+
+  const file = path.join(CACHE_DIR, op.id + '.json');
+  const hash = await feedHash(op);
+  if (!NO_CACHE && fs.existsSync(file)) {
+    try {
+      const cached = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (cached.hash === hash) {
+        console.log(`\n  ♻️  ${op.name} (${op.id}) — inchangé, cache ${hash.slice(0, 10)}`);
+        return cached.result;
+      }
+    } catch (e) {
+      console.warn(`    ⚠  Cache illisible (${op.id}) : ${e.message}`);
+    }
+  }
+
+  const result = await ingestOperator(op);
+  if (result) {
+    if (!fs.existsSync(CACHE_DIR)) fs.mkdirSync(CACHE_DIR, { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({ hash, result }));
+  }
+  return result;
 }
 
 // ─── Fusion multi-opérateurs ──────────────────────────────────────────────────
@@ -559,6 +1005,8 @@ function mergeResults(results) {
     routeStops:    {},
     routeTrips:    {},
     calendarIndex: {},
+    transferRules: { stops: {}, trips: {}, routes: {} },
+    throughTrips:  {},
   };
 
   for (const r of results) {
@@ -567,6 +1015,8 @@ function mergeResults(results) {
     Object.assign(merged.routeInfo,  r.routeInfo);
     Object.assign(merged.routeStops, r.routeStops);
     Object.assign(merged.routeTrips, r.routeTrips);
+    Object.assign(merged.throughTrips, r.throughTrips);
+    for (const k of ['stops', 'trips', 'routes']) Object.assign(merged.transferRules[k], r.transferRules[k]);
 
     for (const [stop, routes] of Object.entries(r.routesByStopSerial)) {
       if (!merged.routesByStop[stop]) merged.routesByStop[stop] = new Set();
@@ -601,10 +1051,17 @@ async function main() {
 
   if (!fs.existsSync(OPS_FILE)) {
     const example = [
-      { "id": "SNCF",  "name": "SNCF",             "gtfs_dir": "./gtfs/sncf" },
+      { "id": "SNCF",  "name": "SNCF",             "gtfs_dir": "./gtfs/sncf",
+        "route_filter": { "default": "keep", "rules": [
+          { "action": "drop", "route_type": [3], "note": "bus" },
+          { "action": "drop", "route_short_name": ["CAR", "NAVETTE", "TRAMTRAIN"] },
+        ] } },
       { "id": "TI",    "name": "Trenitalia France", "gtfs_dir": "./gtfs/trenitalia" },
       { "id": "ES",    "name": "Eurostar",          "gtfs_dir": "./gtfs/eurostar" },
-      { "id": "SNCB",  "name": "SNCB Belgique",     "gtfs_dir": "./gtfs/sncb" },
+      { "id": "SNCB",  "name": "SNCB Belgique",     "gtfs_dir": "./gtfs/sncb",
+        "route_filter": { "default": "drop", "rules": [
+          { "action": "keep", "route_short_name": ["IC", "EC", "NJ", "OTC"] },
+        ] } },
     ];
     fs.writeFileSync(OPS_FILE, JSON.stringify(example, null, 2));
     console.log(`\n⚠  operators.json créé. Editez-le puis relancez.`);
@@ -614,20 +1071,43 @@ async function main() {
   const operators = JSON.parse(fs.readFileSync(OPS_FILE, 'utf8'));
   console.log(`\n${operators.length} opérateur(s) : ${operators.map(o => o.id).join(', ')}`);
 
+  if (DRY_RUN) {
+    console.log('\n── Filtres de routes (--dry-run) ─────────────────────');
+    for (const op of operators) await dryRunRouteFilters(op);
+    console.timeEnd('Total');
+    return;
+  }
+
   console.log('\n── Ingestion ─────────────────────────────────────────');
   const results = [];
   for (const op of operators) {
-    const r = await ingestOperator(op);
+    const r = await ingestOperatorCached(op);
     results.push(r);
   }
 
+  console.log('\n── Validation ────────────────────────────────────────');
+  const validationReport = {};
+  operators.forEach((op, i) => {
+    if (!results[i]) return;
+    validationReport[op.id] = results[i].validation;
+    logValidation(op.id, results[i].validation);
+  });
+  const failed = Object.keys(validationReport).filter(id => exceedsThreshold(validationReport[id], FAIL_ON));
+  if (failed.length) {
+    console.error(`\n❌ Anomalies de gravité ≥ ${FAIL_ON} : ${failed.join(', ')} — engine_data non mis à jour.`);
+    process.exit(1);
+  }
+
   console.log('\n── Fusion ────────────────────────────────────────────');
   const merged = mergeResults(results.filter(Boolean));
 
   console.log('\n── Transferts ────────────────────────────────────────');
   const transferIndex = buildTransferIndex(merged.stopsDict);
+  applyTransferOverrides(merged.transferRules, merged.stopsDict);
+  linkTransferRules(merged.transferRules, transferIndex, merged.stopsDict);
 
   console.log('\n── Écriture ──────────────────────────────────────────');
+  if (!fs.existsSync(OUT_DIR)) fs.mkdirSync(OUT_DIR, { recursive: true });
   const writeJSON = (filename, data) => {
     const p = path.join(OUT_DIR, filename);
     fs.writeFileSync(p, JSON.stringify(data));
@@ -639,16 +1119,30 @@ async function main() {
   writeJSON('routes_info.json',    merged.routeInfo);
   writeJSON('routes_by_stop.json', merged.routesByStop);
   writeJSON('route_stops.json',    merged.routeStops);
-  writeJSON('route_trips.json',    merged.routeTrips);
+  const tripsFile = path.join(OUT_DIR, 'route_trips.bin');
+  writeRouteTrips(tripsFile, merged.routeTrips);
+  console.log(`  ✓ ${'route_trips.bin'.padEnd(26)} ${(fs.statSync(tripsFile).size / 1024 / 1024).toFixed(2)} MB`);
   writeJSON('calendar_index.json', merged.calendarIndex);
   writeJSON('transfer_index.json', transferIndex);
+  writeJSON('transfer_rules.json', merged.transferRules);
+  writeJSON('through_trips.json',  merged.throughTrips);
+
+  const parseReport = {};
+  operators.forEach((op, i) => { if (results[i]) parseReport[op.id] = results[i].parseReport; });
+  writeJSON('parse_report.json',   parseReport);
+  writeJSON('validation_report.json', validationReport);
+
+  const operatorsInfo = {};
+  operators.forEach((op, i) => { if (results[i]) operatorsInfo[op.id] = results[i].operatorInfo; });
+  writeJSON('operators_info.json', operatorsInfo);
 
   const sortedDates = Object.keys(merged.calendarIndex).sort();
   const meta = {
     generated_at:    new Date().toISOString(),
     operators:       operators.map(o => o.id),
     total_stops:     Object.keys(merged.stopsDict).length,
-    total_routes:    Object.keys(merged.routeInfo).length,
+    total_routes:    new Set(Object.values(merged.routeInfo).map(r => r.route_id)).size,
+    total_patterns:  Object.keys(merged.routeInfo).length,
     total_trips:     Object.values(merged.routeTrips).reduce((s, t) => s + t.length, 0),
     total_transfers: Object.keys(transferIndex).length,
     date_range: {
@@ -662,11 +1156,15 @@ async function main() {
   console.log('\n══ Résumé ════════════════════════════════════════════');
   console.log(`  Opérateurs    : ${meta.operators.join(', ')}`);
   console.log(`  Arrêts        : ${meta.total_stops.toLocaleString()}`);
-  console.log(`  Routes        : ${meta.total_routes.toLocaleString()}`);
+  console.log(`  Routes        : ${meta.total_routes.toLocaleString()} (${meta.total_patterns.toLocaleString()} patterns)`);
   console.log(`  Trips         : ${meta.total_trips.toLocaleString()}`);
   console.log(`  Transferts    : ${meta.total_transfers.toLocaleString()} arrêts`);
   console.log(`  Dates         : ${meta.date_range.first} → ${meta.date_range.last}`);
   console.timeEnd('Total');
 }
 
-main().catch(err => { console.error('Erreur :', err); process.exit(1); });
\ No newline at end of file
+if (require.main === module) {
+  main().catch(err => { console.error('Erreur :', err); process.exit(1); });
+}
+
+module.exports = { ingestOperator };
\ No newline at end of file
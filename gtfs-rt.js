@@ -0,0 +1,192 @@
+/**
+ * GTFS-Realtime : lecture des flux TripUpdates et Alerts
+ *
+ * Décodeur protobuf minimal, limité aux messages utilisés par le serveur
+ * (cf. gtfs-realtime.proto) : pas de dépendance, les champs inconnus sont
+ * sautés. Un flux se lit depuis une URL http(s) ou un fichier local (flux
+ * enregistré, pour rejouer une situation) ; un fichier .json suit le même
+ * schéma (noms de champs du .proto, énumérations en nom ou en nombre).
+ */
+
+const fs = require('fs');
+
+// ─── Schéma (sous-ensemble de gtfs-realtime.proto) ────────────────────────────
+// numéro de champ → [nom, type, répété]
+
+const SCHEMA = {
+  FeedMessage:      { 1: ['header', 'FeedHeader'], 2: ['entity', 'FeedEntity', true] },
+  FeedHeader:       { 1: ['gtfs_realtime_version', 'string'], 3: ['timestamp', 'uint64'] },
+  FeedEntity:       { 1: ['id', 'string'], 2: ['is_deleted', 'bool'], 3: ['trip_update', 'TripUpdate'], 5: ['alert', 'Alert'] },
+  TripUpdate:       { 1: ['trip', 'TripDescriptor'], 2: ['stop_time_update', 'StopTimeUpdate', true],
+                      4: ['timestamp', 'uint64'], 5: ['delay', 'int32'] },
+  TripDescriptor:   { 1: ['trip_id', 'string'], 2: ['start_time', 'string'], 3: ['start_date', 'string'],
+                      4: ['schedule_relationship', 'enum'], 5: ['route_id', 'string'], 6: ['direction_id', 'uint32'] },
+  StopTimeUpdate:   { 1: ['stop_sequence', 'uint32'], 2: ['arrival', 'StopTimeEvent'], 3: ['departure', 'StopTimeEvent'],
+                      4: ['stop_id', 'string'], 5: ['schedule_relationship', 'enum'] },
+  StopTimeEvent:    { 1: ['delay', 'int32'], 2: ['time', 'int64'] },
+  Alert:            { 1: ['active_period', 'TimeRange', true], 5: ['informed_entity', 'EntitySelector', true],
+                      6: ['cause', 'enum'], 7: ['effect', 'enum'], 8: ['url', 'TranslatedString'],
+                      10: ['header_text', 'TranslatedString'], 11: ['description_text', 'TranslatedString'],
+                      14: ['severity_level', 'enum'] },
+  TimeRange:        { 1: ['start', 'uint64'], 2: ['end', 'uint64'] },
+  EntitySelector:   { 1: ['agency_id', 'string'], 2: ['route_id', 'string'], 3: ['route_type', 'int32'],
+                      4: ['trip', 'TripDescriptor'], 5: ['stop_id', 'string'], 6: ['direction_id', 'uint32'] },
+  TranslatedString: { 1: ['translation', 'Translation', true] },
+  Translation:      { 1: ['text', 'string'], 2: ['language', 'string'] },
+};
+
+const ENUMS = {
+  trip_relationship: { 0: 'SCHEDULED', 1: 'ADDED', 2: 'UNSCHEDULED', 3: 'CANCELED', 5: 'REPLACEMENT', 6: 'DUPLICATED', 7: 'DELETED' },
+  stop_relationship: { 0: 'SCHEDULED', 1: 'SKIPPED', 2: 'NO_DATA', 3: 'UNSCHEDULED' },
+  cause:    { 1: 'UNKNOWN_CAUSE', 2: 'OTHER_CAUSE', 3: 'TECHNICAL_PROBLEM', 4: 'STRIKE', 5: 'DEMONSTRATION', 6: 'ACCIDENT',
+              7: 'HOLIDAY', 8: 'WEATHER', 9: 'MAINTENANCE', 10: 'CONSTRUCTION', 11: 'POLICE_ACTIVITY', 12: 'MEDICAL_EMERGENCY' },
+  effect:   { 1: 'NO_SERVICE', 2: 'REDUCED_SERVICE', 3: 'SIGNIFICANT_DELAYS', 4: 'DETOUR', 5: 'ADDITIONAL_SERVICE',
+              6: 'MODIFIED_SERVICE', 7: 'OTHER_EFFECT', 8: 'UNKNOWN_EFFECT', 9: 'STOP_MOVED', 10: 'NO_EFFECT', 11: 'ACCESSIBILITY_ISSUE' },
+  severity: { 1: 'UNKNOWN_SEVERITY', 2: 'INFO', 3: 'WARNING', 4: 'SEVERE' },
+};
+
+// ─── Format protobuf ──────────────────────────────────────────────────────────
+
+// Message protobuf → objet aux noms de champs du .proto (énumérations en nombre)
+function decodeMessage(buf, type) {
+  const fields = SCHEMA[type];
+  const out    = {};
+  let i = 0;
+  const varint = () => {
+    let v = 0n, shift = 0n, b;
+    do {
+      if (i >= buf.length) throw new Error('protobuf tronqué');
+      b = buf[i++];
+      v |= BigInt(b & 0x7f) << shift;
+      shift += 7n;
+    } while (b & 0x80);
+    return v;
+  };
+
+  while (i < buf.length) {
+    const key  = varint();
+    const wire = Number(key & 7n);
+    let raw;
+    if (wire === 0) raw = varint();
+    else {
+      const len = wire === 1 ? 8 : wire === 5 ? 4 : wire === 2 ? Number(varint()) : -1;
+      if (len < 0) throw new Error('protobuf : type de champ ' + wire + ' non géré');
+      if (i + len > buf.length) throw new Error('protobuf tronqué');
+      raw = buf.subarray(i, i += len);
+    }
+
+    const def = fields[Number(key >> 3n)];
+    if (!def) continue;
+    const [name, ftype, repeated] = def;
+    let value;
+    switch (ftype) {
+      case 'string': value = raw.toString('utf8'); break;
+      case 'bool':   value = raw !== 0n; break;
+      case 'int32':  value = Number(BigInt.asIntN(32, raw)); break;
+      case 'int64':  value = Number(BigInt.asIntN(64, raw)); break;
+      case 'uint32': case 'uint64': case 'enum': value = Number(raw); break;
+      default:       value = decodeMessage(raw, ftype);
+    }
+    if (repeated) (out[name] = out[name] || []).push(value);
+    else out[name] = value;
+  }
+  return out;
+}
+
+// ─── Messages → objets du serveur ─────────────────────────────────────────────
+
+// Énumération donnée en nombre (protobuf) ou en nom (JSON)
+function enumName(table, v, fallback) {
+  if (v == null) return fallback;
+  return typeof v === 'string' ? v : (ENUMS[table][v] || fallback);
+}
+const num = (v) => v == null ? null : Number(v);
+
+// { fr: '…', en: '…' } ; '' pour une traduction sans langue
+function translations(ts) {
+  if (!ts?.translation?.length) return null;
+  const out = {};
+  for (const t of ts.translation) out[t.language || ''] = t.text || '';
+  return out;
+}
+
+function normTrip(t = {}) {
+  return {
+    trip_id:    t.trip_id    || null,
+    route_id:   t.route_id   || null,
+    start_time: t.start_time || null,
+    start_date: t.start_date || null,
+    schedule_relationship: enumName('trip_relationship', t.schedule_relationship, 'SCHEDULED'),
+  };
+}
+
+function normTripUpdate(tu) {
+  const event = (e) => e ? { delay: num(e.delay), time: num(e.time) } : null;
+  return {
+    trip: normTrip(tu.trip),
+    stop_time_updates: (tu.stop_time_update || []).map(u => ({
+      stop_sequence: num(u.stop_sequence),
+      stop_id:       u.stop_id || null,
+      arrival:       event(u.arrival),
+      departure:     event(u.departure),
+      schedule_relationship: enumName('stop_relationship', u.schedule_relationship, 'SCHEDULED'),
+    })),
+    timestamp: num(tu.timestamp),
+    delay:     num(tu.delay),
+  };
+}
+
+function normAlert(id, a) {
+  return {
+    id,
+    cause:    enumName('cause', a.cause, 'UNKNOWN_CAUSE'),
+    effect:   enumName('effect', a.effect, 'UNKNOWN_EFFECT'),
+    severity: enumName('severity', a.severity_level, 'UNKNOWN_SEVERITY'),
+    active_periods: (a.active_period || []).map(p => ({ start: num(p.start) || null, end: num(p.end) || null })),
+    informed_entities: (a.informed_entity || []).map(e => ({
+      agency_id:  e.agency_id || null,
+      route_id:   e.route_id  || null,
+      route_type: num(e.route_type),
+      trip_id:    e.trip?.trip_id || null,
+      stop_id:    e.stop_id   || null,
+    })),
+    header_text:      translations(a.header_text),
+    description_text: translations(a.description_text),
+    url:              translations(a.url),
+  };
+}
+
+// FeedMessage (décodé ou JSON) → { timestamp, trip_updates, alerts } ;
+// les entités supprimées (is_deleted) sont ignorées
+function normalizeFeed(msg) {
+  const feed = { timestamp: num(msg.header?.timestamp), trip_updates: [], alerts: [] };
+  for (const e of (msg.entity || [])) {
+    if (e.is_deleted) continue;
+    if (e.trip_update?.trip) feed.trip_updates.push(normTripUpdate(e.trip_update));
+    if (e.alert) feed.alerts.push(normAlert(e.id, e.alert));
+  }
+  return feed;
+}
+
+function decodeFeedMessage(buf) {
+  return normalizeFeed(decodeMessage(buf, 'FeedMessage'));
+}
+
+// ─── Chargement ───────────────────────────────────────────────────────────────
+
+// source : URL http(s) ou chemin de fichier → flux normalisé. JSON si le
+// fichier finit en .json ou si le serveur répond en application/json.
+async function loadFeed(source) {
+  let buf, json = /\.json$/i.test(source);
+  if (/^https?:\/\//.test(source)) {
+    const res = await fetch(source, { signal: AbortSignal.timeout(20000) });
+    if (!res.ok) throw new Error(source + ' : HTTP ' + res.status);
+    json = json || /json/i.test(res.headers.get('content-type') || '');
+    buf  = Buffer.from(await res.arrayBuffer());
+  } else {
+    buf = await fs.promises.readFile(source);
+  }
+  return json ? normalizeFeed(JSON.parse(buf.toString('utf8'))) : decodeFeedMessage(buf);
+}
+
+module.exports = { decodeFeedMessage, normalizeFeed, loadFeed };
@@ -0,0 +1,52 @@
+/**
+ * Validation des flux GTFS, sans toucher à engine_data
+ *
+ * Usage :
+ *   node gtfs-validate.js                                  ← lit operators.json
+ *   node gtfs-validate.js ./operators.json ./validation_report.json --fail-on=warning
+ *
+ * Lit chaque flux comme gtfs-ingest.js (mêmes filtres), écrit le rapport
+ * d'anomalies par opérateur (cf. feed-validation.js) et sort en erreur si une
+ * anomalie atteint le seuil --fail-on (error par défaut).
+ */
+
+const fs   = require('fs');
+const path = require('path');
+
+const { ingestOperator } = require('./gtfs-ingest');
+const { exceedsThreshold, parseFailOn, logValidation } = require('./feed-validation');
+
+const ARGS     = process.argv.slice(2).filter(a => !a.startsWith('--'));
+const OPS_FILE = ARGS[0] || './operators.json';
+const OUT_FILE = ARGS[1] || './validation_report.json';
+const FAIL_ON  = parseFailOn(process.argv) || 'error';
+
+async function main() {
+  if (!fs.existsSync(OPS_FILE)) {
+    console.error('❌ ' + OPS_FILE + ' introuvable.');
+    process.exit(1);
+  }
+  const operators = JSON.parse(fs.readFileSync(OPS_FILE, 'utf8'));
+
+  console.log('\n🔎 Validation GTFS : ' + operators.map(o => o.id).join(', '));
+  const report = {};
+  for (const op of operators) {
+    const r = await ingestOperator(op);
+    if (r) report[op.id] = r.validation;
+  }
+
+  console.log('\n── Anomalies (seuil : ' + FAIL_ON + ') ─────────────────────────');
+  for (const [id, r] of Object.entries(report)) logValidation(id, r);
+
+  fs.mkdirSync(path.dirname(path.resolve(OUT_FILE)), { recursive: true });
+  fs.writeFileSync(OUT_FILE, JSON.stringify(report, null, 2));
+  console.log('\n  ✓ ' + OUT_FILE);
+
+  const failed = Object.keys(report).filter(id => exceedsThreshold(report[id], FAIL_ON));
+  if (failed.length) {
+    console.error('\n❌ Flux à corriger : ' + failed.join(', '));
+    process.exit(1);
+  }
+}
+
+main().catch(err => { console.error('Erreur :', err); process.exit(1); });
@@ -82,8 +82,10 @@ function downloadNAP(op) {
 })();
 ENDNODE
 
+# Flux en anomalie (cf. validation_report.json) : l'ingestion échoue et
+# engine_data n'est pas remplacé. FAIL_ON=warning pour être plus strict.
 echo "⚙️  Ingestion GTFS -> engine_data..."
-node gtfs-ingest.js
+node gtfs-ingest.js --fail-on="${FAIL_ON:-error}"
 
 echo "🗺️  Construction index stations..."
 node build-stations-index.js
@@ -1,28 +1,54 @@
 /**
  * Serveur RAPTOR — SNCF + Trenitalia France
- * Optimisations : buildStopToTrips une seule fois, RAPTOR multi-origines, lookup Map
+ * Optimisations : RAPTOR par route (patterns, dichotomie sur les trips), multi-origines, lookup Map
+ * Temps réel : GTFS-RT TripUpdates (retards, arrêts supprimés, trips supprimés), cf. gtfs-rt.js
+ * Alertes : GTFS-RT Alerts jointes aux résultats et servies par /api/alerts ; NO_SERVICE retire trips et arrêts
+ * Tableaux de gare : /api/board (départs / arrivées de tous les quais d'une gare)
+ * Détail d'un trip : /api/trip/:trip_id (desserte complète, temps réel)
+ * Isochrones : /api/explore?mode=isochrone (GeoJSON par tranche de durée)
  */
 
-const http = require('http');
-const fs   = require('fs');
-const path = require('path');
-const url  = require('url');
+const http   = require('http');
+const fs     = require('fs');
+const path   = require('path');
+const url    = require('url');
+const crypto = require('crypto');
+
+const { NO_TIME, readRouteTrips, compactRouteTrips } = require('./engine-data');
+const { loadTrainTypes } = require('./train-types');
+const { loadFeed } = require('./gtfs-rt');
 
 const DATA_DIR    = process.env.DATA_DIR || './engine_data';
 const PORT        = process.env.PORT     || 3000;
+const OPS_FILE    = process.env.OPERATORS_FILE || './operators.json';   // sources temps réel (gtfs_rt)
+const REALTIME_INTERVAL = (parseInt(process.env.REALTIME_INTERVAL) || 60) * 1000;
 const MAX_ROUNDS  = 5;
 const MAX_RESULTS = 8;
+const MAX_PROFILE_RESULTS = 200;  // plafond d'une requête window=
+const MAX_RANGE_DAYS      = 14;   // plafond d'une recherche date_from / date_to
+const MAX_EXPLORE_SLOTS   = 8;    // plafond des départs de /api/explore (un passage RAPTOR chacun)
 
 const MIN_TRANSFER_SAME  = 3  * 60;  // 3 min  — même opérateur / même gare
 const MIN_TRANSFER_CROSS = 10 * 60;  // 10 min — inter-opérateurs (SNCF ↔ TI)
-const MIN_TRANSFER_CITY  = 45 * 60;  // 45 min — inter-gares même ville (métro)
+const MIN_TRANSFER_CITY  = 45 * 60;  // 45 min — inter-gares même ville, si l'index n'a pas de durée
+
+const REF_TZ            = 'Europe/Paris';  // fuseau de référence des heures du moteur
+const NEXT_DAY_HORIZON  = 12 * 3600;       // trips du lendemain pris en compte s'ils partent avant midi
 
 // ─── Données en RAM ───────────────────────────────────────────────────────────
-let stops, routesInfo, routesByStop, routeStops, routeTrips, calendarIndex, meta;
+let stops, routesInfo, routesByStop, routeTrips, calendarIndex, meta;
+let stopTimes;                    // { stopIds, stop, dep, arr } — tableaux typés, cf. engine-data.js
+let tripRoutes     = new Map();   // trip_id → route RAPTOR (pattern), pour /api/trip
 let transferIndex  = {};
+let transferRules  = { stops: {}, trips: {}, routes: {} };  // transfers.txt, cf. gtfs-ingest
+let throughTrips   = {};          // trip direct A+B (block_id) → [{ trip_id, first }], cf. gtfs-ingest
+let throughBySegment = new Map(); // trip d'origine → [{ through, index }] : trips directs qui le contiennent
+let operatorsInfo  = {};          // agency.txt / feed_info.txt par opérateur, cf. gtfs-ingest
 let stopsIndex     = [];
 let stopNameMap    = new Map();   // stopId → nom affiché, O(1)
 let tarifIndex     = {};
+let trainTypes     = null;          // noms et catégories des types de train, cf. train-types.js
+let realtime       = { version: 0, trips: new Map(), dates: new Set(), alerts: [], noService: [], feeds: {} };   // GTFS-RT, cf. refreshRealtime
 let cityIndex      = new Map();   // ville groupée → { city, country, stopIds, stations }
 
 const COUNTRY_NAMES = {
@@ -31,15 +57,26 @@ const COUNTRY_NAMES = {
   CH:'Suisse', AT:'Autriche', PL:'Pologne', CZ:'Tchéquie', SK:'Slovaquie',
 };
 
-// Index RAPTOR global — construit UNE SEULE FOIS au démarrage
-let globalStopToTrips = null;
-
 function loadJSON(filename) {
   const p = path.join(DATA_DIR, filename);
   if (!fs.existsSync(p)) throw new Error('Fichier manquant : ' + p);
   return JSON.parse(fs.readFileSync(p, 'utf8'));
 }
 
+// route_trips.bin (format binaire, cf. engine-data.js) ; à défaut l'ancien
+// route_trips.json, converti à la volée dans la même représentation
+function loadRouteTrips() {
+  const t = Date.now();
+  const bin = path.join(DATA_DIR, 'route_trips.bin');
+  const data = fs.existsSync(bin) ? readRouteTrips(bin) : compactRouteTrips(loadJSON('route_trips.json'));
+  routeTrips = data.routeTrips;
+  stopTimes  = data.stopTimes;
+  tripRoutes = new Map();
+  for (const [rid, trips] of Object.entries(routeTrips)) for (const trip of trips) tripRoutes.set(trip.trip_id, rid);
+  console.log('  Trips : ' + stopTimes.stop.length.toLocaleString() + ' stop_times ('
+    + (fs.existsSync(bin) ? 'route_trips.bin' : 'route_trips.json') + ', ' + (Date.now() - t) + ' ms)');
+}
+
 function initEngine() {
   console.log('\n🚂 Chargement moteur RAPTOR (SNCF + Trenitalia)...');
   const t = Date.now();
@@ -47,8 +84,7 @@ function initEngine() {
   stops         = loadJSON('stops.json');
   routesInfo    = loadJSON('routes_info.json');
   routesByStop  = loadJSON('routes_by_stop.json');
-  routeStops    = loadJSON('route_stops.json');
-  routeTrips    = loadJSON('route_trips.json');
+  loadRouteTrips();
   calendarIndex = loadJSON('calendar_index.json');
   meta          = loadJSON('meta.json');
 
@@ -72,6 +108,30 @@ function initEngine() {
     console.log('  Correspondances (fallback UIC) : ' + Object.keys(uicMap).length + ' gares');
   }
 
+  // Règles de correspondance (transfers.txt + surcharges)
+  if (fs.existsSync(path.join(DATA_DIR, 'transfer_rules.json'))) {
+    transferRules = { stops: {}, trips: {}, routes: {}, ...loadJSON('transfer_rules.json') };
+    console.log('  Règles de correspondance : ' + Object.keys(transferRules.stops).length + ' paires d\'arrêts, '
+      + Object.keys(transferRules.trips).length + ' paires de trips');
+  }
+
+  // Opérateurs : agences, feed_info, volumes et période de validité
+  if (fs.existsSync(path.join(DATA_DIR, 'operators_info.json'))) {
+    operatorsInfo = loadJSON('operators_info.json');
+  }
+
+  // Trains qui changent de numéro (block_id) : segments des trips directs
+  if (fs.existsSync(path.join(DATA_DIR, 'through_trips.json'))) {
+    throughTrips = loadJSON('through_trips.json');
+    for (const [through, segments] of Object.entries(throughTrips)) {
+      segments.forEach((seg, index) => {
+        if (!throughBySegment.has(seg.trip_id)) throughBySegment.set(seg.trip_id, []);
+        throughBySegment.get(seg.trip_id).push({ through, index });
+      });
+    }
+    console.log('  Trains directs (block_id) : ' + Object.keys(throughTrips).length);
+  }
+
   // Liaison inter-opérateurs SNCF ↔ TI par nom de gare normalisé
   (function linkSncfTI() {
     const norm = s => (s || '').toLowerCase()
@@ -95,25 +155,26 @@ function initEngine() {
       if (!sncfSids.length) continue;
       if (!transferIndex[sid]) transferIndex[sid] = [];
       for (const ss of sncfSids) {
-        if (!transferIndex[sid].includes(ss)) { transferIndex[sid].push(ss); crossCount++; }
+        if (!transferEntries(sid).some(e => e.id === ss)) { transferIndex[sid].push(ss); crossCount++; }
       }
       for (const ss of sncfSids) {
         if (!transferIndex[ss]) transferIndex[ss] = [];
-        if (!transferIndex[ss].includes(sid)) transferIndex[ss].push(sid);
+        if (!transferEntries(ss).some(e => e.id === sid)) transferIndex[ss].push(sid);
       }
     }
     console.log('  Correspondances inter-opérateurs SNCF\u2194TI : ' + crossCount + ' liaisons');
   })();
 
-  // Index stop→trips (une seule fois)
-  console.log('  Construction index stop→trips...');
-  globalStopToTrips = buildStopToTrips(routeTrips);
-  console.log('  Index : ' + Object.keys(globalStopToTrips).length + ' stops couverts');
+  // Routes par arrêt (routes_by_stop.json) : point d'entrée du scan RAPTOR par route
+  console.log('  Routes : ' + Object.keys(routeTrips).length + ', desservant ' + Object.keys(routesByStop).length + ' arrêts');
 
   // Map stopId→nom en O(1)
   buildStopNameMap();
   buildStopsIndex();
 
+  trainTypes = loadTrainTypes();
+  console.log('  Types de train : ' + Object.keys(trainTypes.types).length);
+
   // Tarifs
   const tarifsFile = path.join(__dirname, 'tarifs-tgv-inoui-ouigo.json');
   if (fs.existsSync(tarifsFile)) {
@@ -165,8 +226,9 @@ function cleanStopName(stopId) {
 }
 
 // ─── Utilitaires transferIndex ────────────────────────────────────────────────
-// Le transferIndex peut contenir des strings (liens normaux) ou des objets
-// { id, interCity: true } (liens inter-gares même ville, ajoutés par gtfs-ingest).
+// Le transferIndex contient des objets { id, dist, duration, interCity? } produits
+// par gtfs-ingest (duration : marche, ou transport urbain pour les liens inter-gares
+// même ville), ou des strings (anciens index, liens SNCF↔TI ajoutés ici).
 
 function transferEntries(stopId) {
   return (transferIndex[stopId] || []).map(e =>
@@ -174,10 +236,48 @@ function transferEntries(stopId) {
   );
 }
 
+// Règles transfers.txt (+ transfer_overrides.json), par paire d'arrêts :
+// type 1 (garantie) → 0, type 2 → min_transfer_time, type 3 (interdite) → null.
 function transferTime(fromId, toEntry) {
-  if (toEntry.interCity) return MIN_TRANSFER_CITY;
+  const rule = transferRules.stops[fromId + '>' + toEntry.id];
+  if (rule) {
+    if (rule.type === 3) return null;
+    if (rule.type === 1) return 0;
+    if (rule.type === 2 && rule.min != null) return rule.min;
+  }
+  if (toEntry.interCity) return toEntry.duration ?? MIN_TRANSFER_CITY;
   const sameOp = extractOperator(fromId) === extractOperator(toEntry.id);
-  return sameOp ? MIN_TRANSFER_SAME : MIN_TRANSFER_CROSS;
+  const min    = sameOp ? MIN_TRANSFER_SAME : MIN_TRANSFER_CROSS;
+  return toEntry.duration != null ? Math.max(min, toEntry.duration) : min;
+}
+
+// Délai de correspondance sur le même arrêt, du trip (from) au trip (to) :
+// règles de trip à trip, de route à route, puis de l'arrêt (from_stop_id = to_stop_id).
+// Sans règle : 0 (comportement historique). null = correspondance interdite.
+function sameStopChange(sid, fromTripId, fromRouteId, toTripId, toRouteId) {
+  const rule = transferRules.trips[fromTripId + '>' + toTripId]
+            || transferRules.routes[gtfsRouteId(fromRouteId) + '>' + gtfsRouteId(toRouteId)]
+            || transferRules.stops[sid + '>' + sid];
+  if (!rule) return 0;
+  if (rule.type === 3) return null;
+  if (rule.type === 2 && rule.min != null) return rule.min;
+  return 0;
+}
+
+// Heure à partir de laquelle on peut monter dans trip à sid, arrivé à tau via
+// le leg p (aucune contrainte si l'on y est arrivé à pied ou depuis l'origine)
+function boardReadyTime(sid, tau, p, trip, routeId) {
+  if (!p || p.is_transfer || !p.trip_id) return tau;
+  const c = sameStopChange(sid, p.trip_id, p.route_id, trip.trip_id, routeId);
+  return c == null ? Infinity : tau + c;
+}
+
+// Symétrique pour le RAPTOR inversé : heure limite d'arrivée de trip à sid
+// pour prendre ensuite le leg c (départ au plus tard tau)
+function alightDeadline(sid, tau, c, trip, routeId) {
+  if (!c || c.is_transfer || !c.trip_id) return tau;
+  const ch = sameStopChange(sid, trip.trip_id, routeId, c.trip_id, c.route_id);
+  return ch == null ? -Infinity : tau - ch;
 }
 
 // ─── Autocomplete ─────────────────────────────────────────────────────────────
@@ -221,7 +321,7 @@ function buildStopsIndex() {
       const uics = gare.codes_uic.split(';').map(u => u.trim());
       const sids = Object.keys(stops).filter(sid => uics.some(uic => sid.endsWith('-'+uic)));
       const extra = new Set(sids);
-      for (const sid of sids) for (const s of (transferIndex[sid]||[])) extra.add(s);
+      for (const sid of sids) for (const e of transferEntries(sid)) if (!e.interCity) extra.add(e.id);
       if (!extra.size) continue;
       const ops = [...new Set([...extra].map(sid => sid.split(':')[0]))];
       stopsIndex.push({ name:gare.nom, city:gare.nom, country:'FR', stopIds:[...extra], operators:ops,
@@ -281,10 +381,61 @@ function searchCities(query) {
 
 function secondsToHHMM(s) {
   if (s == null || s === Infinity) return '--:--';
-  const totalMin = Math.floor(s / 60);
-  return String(Math.floor(totalMin / 60) % 24).padStart(2,'0') + ':' + String(totalMin % 60).padStart(2,'0');
+  // Ramené dans la journée : un leg du jour de service précédent a des secondes
+  // négatives, un leg du lendemain dépasse 24 h
+  const totalMin = ((Math.floor(s / 60) % 1440) + 1440) % 1440;
+  return String(Math.floor(totalMin / 60)).padStart(2,'0') + ':' + String(totalMin % 60).padStart(2,'0');
 }
 function timeToSeconds(t) { const [h,m] = t.split(':').map(Number); return h*3600+m*60; }
+
+// Erreur de paramètre : renvoyée en 400 par le serveur HTTP au lieu de l'arrêter
+function badRequest(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+// HH:MM, de 00:00 à 23:59
+function isHHMM(t) {
+  return /^([01]?\d|2[0-3]):[0-5]\d$/.test(t || '');
+}
+
+// YYYY-MM-DD et date réelle (pas de 2026-02-30)
+function isDateISO(d) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(d || '')) return false;
+  const t = Date.parse(d + 'T12:00:00Z');
+  return !isNaN(t) && new Date(t).toISOString().slice(0, 10) === d;
+}
+
+function addDaysISO(dateISO, n) {
+  const d = new Date(dateISO + 'T12:00:00Z');
+  if (isNaN(d)) throw badRequest('date invalide : ' + dateISO);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+// Décalage UTC (en minutes) d'un fuseau IANA à un instant donné
+function tzOffsetMinutes(tz, utcMs) {
+  if (!isFinite(utcMs)) throw badRequest('date invalide');
+  const name = new Intl.DateTimeFormat('en-US', { timeZone: tz, timeZoneName: 'longOffset' })
+    .formatToParts(new Date(utcMs)).find(x => x.type === 'timeZoneName').value;
+  const m = name.match(/GMT([+-])(\d{2}):(\d{2})/);
+  return m ? (m[1] === '-' ? -1 : 1) * (parseInt(m[2]) * 60 + parseInt(m[3])) : 0;
+}
+
+// Date-heure absolue ISO 8601 avec décalage ; seconds est relatif à minuit
+// (heure locale de tz) de dateISO et peut dépasser 24h ou être négatif.
+function toISODateTime(dateISO, seconds, tz = REF_TZ) {
+  if (!dateISO || seconds == null || seconds === Infinity) return null;
+  const dayShift = Math.floor(seconds / 86400);
+  const day      = addDaysISO(dateISO, dayShift);
+  const rem      = seconds - dayShift * 86400;
+  const wallMs   = Date.parse(day + 'T00:00:00Z') + rem * 1000;
+  let off = tzOffsetMinutes(tz, wallMs);
+  off     = tzOffsetMinutes(tz, wallMs - off * 60000);
+  const pad  = n => String(n).padStart(2, '0');
+  const abs  = Math.abs(off);
+  return day + 'T' + pad(Math.floor(rem / 3600)) + ':' + pad(Math.floor(rem % 3600 / 60)) + ':' + pad(rem % 60) +
+         (off < 0 ? '-' : '+') + pad(Math.floor(abs / 60)) + ':' + pad(abs % 60);
+}
 function extractOperator(sid) { const m=(sid||'').match(/^([A-Z]+):/); return m?m[1]:'SNCF'; }
 
 function resolveStopIds(ids, mode = 'origin') {
@@ -313,6 +464,57 @@ function resolveStopIds(ids, mode = 'origin') {
   return [...out];
 }
 
+// Arrêts d'une même gare : les ids donnés et leurs quais / arrêts d'autres
+// opérateurs reliés à pied (sans les autres gares de la ville)
+function stationStopIds(ids) {
+  const out = new Set(ids);
+  for (const id of ids) {
+    for (const entry of transferEntries(id)) if (!entry.interCity) out.add(entry.id);
+  }
+  return [...out];
+}
+
+// ─── Fuseaux horaires ─────────────────────────────────────────────────────────
+// Référentiel du moteur : secondes depuis l'origine du jour de recherche
+// (« midi moins 12h », convention GTFS) dans REF_TZ. Chaque trip est ramené à
+// ce référentiel selon son fuseau (agency_timezone), avec les vraies règles
+// d'heure d'été IANA ; l'affichage repasse en heure locale de chaque arrêt.
+
+// Instant UTC (ms) de l'origine des horaires GTFS du jour dateISO dans tz
+function serviceDayBase(dateISO, tz) {
+  const noon = Date.parse(dateISO + 'T12:00:00Z');
+  return noon - tzOffsetMinutes(tz, noon) * 60000 - 12 * 3600000;
+}
+
+const shiftCache = new Map();
+
+// Décalage (s) des horaires d'un jour de service serviceDate du fuseau tz
+// vers le référentiel du jour de recherche dateISO
+function timeShift(tz, serviceDate, dateISO) {
+  const key = tz + '|' + serviceDate + '|' + dateISO;
+  if (!shiftCache.has(key)) {
+    shiftCache.set(key, (serviceDayBase(serviceDate, tz) - serviceDayBase(dateISO, REF_TZ)) / 1000);
+  }
+  return shiftCache.get(key);
+}
+
+function todayISO() { return new Date().toISOString().slice(0, 10); }
+
+// Recherche sans date : décalage du jour courant
+function defaultShift(tz) { return timeShift(tz || REF_TZ, todayISO(), todayISO()); }
+
+function stopTz(sid) { return stops[sid]?.tz || REF_TZ; }
+
+// Heure locale de l'arrêt sid ⇄ heure moteur, pour le jour de recherche dateISO
+function engineToLocal(sid, t, dateISO) {
+  const d = dateISO || todayISO();
+  return t - timeShift(stopTz(sid), d, d);
+}
+function localToEngine(sid, t, dateISO) {
+  const d = dateISO || todayISO();
+  return t + timeShift(stopTz(sid), d, d);
+}
+
 // ─── Calendrier ───────────────────────────────────────────────────────────────
 
 function getActiveServices(dateISO) {
@@ -321,148 +523,729 @@ function getActiveServices(dateISO) {
   return s ? new Set(s) : null;
 }
 
-const dateCache = new Map();
+const dateCache = new Map();   // dateISO → signature des services
+const dataCache = new Map();   // signature → { net }
+
+// Fuseaux des trips, pour la signature (calculé une fois)
+let tripTzs = null;
+
+// Deux jours de recherche dont les services actifs (veille, jour, lendemain) et
+// les décalages horaires coïncident ont exactement le même réseau : les vues de
+// trips ne portent que leur décalage en jours (day_offset), pas la date.
+function serviceSignature(dateISO, prevActive, active, nextActive) {
+  if (!tripTzs) {
+    tripTzs = new Set();
+    for (const trips of Object.values(routeTrips)) for (const t of trips) tripTzs.add(t.tz || REF_TZ);
+  }
+  const h = crypto.createHash('sha1');
+  for (const set of [prevActive, active, nextActive]) h.update([...set].sort().join(',') + '|');
+  for (const tz of tripTzs) {
+    for (const k of [-1, 0, 1]) h.update(tz + timeShift(tz, addDaysISO(dateISO, k), dateISO) + '|');
+  }
+  // Temps réel : un jour touché par les TripUpdates ou une alerte NO_SERVICE a son propre réseau
+  const [from, to] = [dayRange(addDaysISO(dateISO, -1))[0], dayRange(addDaysISO(dateISO, 2))[1]];
+  if ([-1, 0, 1].some(k => realtime.dates.has(addDaysISO(dateISO, k))) ||
+      realtime.noService.some(a => alertActive(a, from, to))) h.update('rt' + realtime.version + dateISO);
+  return h.digest('hex');
+}
 
+// Données d'un jour de recherche D : trips actifs le jour D, plus les trips de
+// la veille qui roulent encore après minuit (horaires GTFS ≥ 24:00:00) et ceux
+// du lendemain matin, pour les trajets qui franchissent minuit. Chaque trip
+// retenu est une vue { ...trip, day_offset, time_shift } : les horaires
+// restent ceux du GTFS, décalés de time_shift à la lecture (stTime), ce qui
+// couvre à la fois le jour de service et le fuseau du trip. Le jour de service
+// (D + day_offset) est recalculé à l'affichage. Les TripUpdates du jour de
+// service s'appliquent à la vue (withRealtime) : trip supprimé, retards ; de
+// même les alertes NO_SERVICE (withServiceAlerts).
 function getFilteredData(dateISO) {
-  if (!dateISO) return { stopToTrips: globalStopToTrips };
-  if (dateCache.has(dateISO)) return dateCache.get(dateISO);
+  if (!dateISO) return { net: globalNetwork() };
+  const cachedSig = dateCache.get(dateISO);
+  if (cachedSig && dataCache.has(cachedSig)) return dataCache.get(cachedSig);
 
   const active = getActiveServices(dateISO);
-  if (!active) return { stopToTrips: globalStopToTrips };
+  if (!active) return { net: globalNetwork() };
+
+  const prevDate   = addDaysISO(dateISO, -1);
+  const nextDate   = addDaysISO(dateISO, 1);
+  const prevActive = getActiveServices(prevDate) || new Set();
+  const nextActive = getActiveServices(nextDate) || new Set();
+
+  const sig = cachedSig || serviceSignature(dateISO, prevActive, active, nextActive);
+  dateCache.set(dateISO, sig);
+  if (dataCache.has(sig)) return dataCache.get(sig);
+
+  const lastTime = t => t.n ? (rawArr(t, t.n - 1) ?? rawDep(t, t.n - 1) ?? 0) : 0;
 
   const filteredTrips = {};
   for (const [rid, trips] of Object.entries(routeTrips)) {
-    const valid = trips.filter(t => active.has(t.service_id));
+    const valid = [];
+    for (const t of trips) {
+      const tz = t.tz || REF_TZ;
+      const push = (serviceDate, day_offset) => {
+        const view = withServiceAlerts(withRealtime({ ...t, day_offset, time_shift: timeShift(tz, serviceDate, dateISO) }, serviceDate), rid, serviceDate);
+        if (view) valid.push(view);
+      };
+      if (prevActive.has(t.service_id) && lastTime(t) >= 86400) push(prevDate, -1);
+      if (active.has(t.service_id)) push(dateISO, 0);
+      if (nextActive.has(t.service_id) && t.dep_time_first < NEXT_DAY_HORIZON) push(nextDate, 1);
+    }
     if (valid.length) filteredTrips[rid] = valid;
   }
-  const result = { stopToTrips: buildStopToTrips(filteredTrips) };
-  if (dateCache.size >= 7) dateCache.delete(dateCache.keys().next().value);
-  dateCache.set(dateISO, result);
+  const result = { net: buildNetwork(filteredTrips) };
+  if (dataCache.size >= 7) dataCache.delete(dataCache.keys().next().value);
+  dataCache.set(sig, result);
   return result;
 }
 
-// ─── Détection type de train ──────────────────────────────────────────────────
-
-function detectTrainTypeTI(tripId, routeId) {
-  const route   = routesInfo[routeId] || {};
-  const combined = ((route.long||'') + ' ' + (route.short||'')).toUpperCase();
-  if (combined.includes('FRECCIAROSSA'))  return 'FRECCIAROSSA';
-  if (combined.includes('EURONIGHT') || combined.includes('NOTTE')) return 'EURONIGHT';
-  if (combined.includes('INTERCITY') || combined.includes('INTERCITES')) return 'IC_IT';
-  if (combined.includes('REGIONALE')) return 'REGIONALE_IT';
+// ─── Temps réel (GTFS-RT) ─────────────────────────────────────────────────────
+// Sources par opérateur dans operators.json :
+//   "gtfs_rt": { "trip_updates": "<URL ou fichier>", "alerts": "<URL ou fichier>" }
+// (protobuf, ou JSON au même schéma pour un fichier .json), relues toutes les
+// REALTIME_INTERVAL. Les TripUpdates sont appliqués aux vues de trips d'un
+// jour de recherche (getFilteredData) : trip supprimé (CANCELED / DELETED), ou
+// retards par arrêt dans trip.rt
+//   { arr, dep : retards (s) ; skip : RT_NO_ARR | RT_NO_DEP ; updated ; timestamp }
+// lus par stDep / stArr. Un retard se propage aux arrêts suivants jusqu'à la
+// mise à jour suivante. Les arrêts sont reconnus par stop_id (stop_sequence
+// seul n'est pas exploitable : engine_data ne le garde pas). Les alertes
+// NO_SERVICE retirent trips et arrêts de la même façon (cf. withServiceAlerts).
+// Recherche sans date : réseau théorique.
+
+const RT_NO_ARR = 1, RT_NO_DEP = 2;
+const RT_KINDS  = ['trip_updates', 'alerts'];
+
+function realtimeSources() {
+  if (!fs.existsSync(OPS_FILE)) return [];
+  return JSON.parse(fs.readFileSync(OPS_FILE, 'utf8')).flatMap(op =>
+    RT_KINDS.filter(kind => op.gtfs_rt?.[kind]).map(kind => ({ operator: op.id, kind, source: op.gtfs_rt[kind] })));
+}
 
-  const raw = (tripId||'').replace(/^TI:/i,'').toUpperCase();
-  if (raw.includes('FRECCIAROSSA') || /^FR\d/.test(raw) || /^9\d{3}/.test(raw)) return 'FRECCIAROSSA';
-  if (raw.includes('EURONIGHT') || /^(EN|ICN)\d/.test(raw)) return 'EURONIGHT';
-  if (/^IC\d/.test(raw)) return 'IC_IT';
-  if (/^RV?\d/.test(raw)) return 'REGIONALE_IT';
+// Un flux par opérateur et par type ; en cas d'échec, on garde les dernières
+// données reçues. Le réseau n'est reconstruit que si ce qui le modifie change.
+async function refreshRealtime(sources) {
+  let changed = false;
+  for (const { operator, kind, source } of sources) {
+    const key  = operator + ':' + kind;
+    const feed = realtime.feeds[key] || (realtime.feeds[key] =
+      { operator, kind, source, timestamp: null, digest: null, fetched_at: null, error: null, updates: [], alerts: [] });
+    try {
+      const msg    = await loadFeed(source);
+      const digest = crypto.createHash('sha1').update(JSON.stringify(msg)).digest('hex');
+      feed.fetched_at = new Date().toISOString();
+      feed.error      = null;
+      if (digest === feed.digest) continue;
+      feed.digest    = digest;
+      feed.timestamp = msg.timestamp;
+      if (kind === 'trip_updates') feed.updates = msg.trip_updates;
+      else feed.alerts = msg.alerts.map(a => prefixAlert(operator, a));
+      changed = true;
+    } catch (err) {
+      feed.error = err.message;
+      console.warn('  ⚠  Temps réel ' + key + ' : ' + err.message);
+    }
+  }
+  if (!changed) return;
+
+  // Index trip_id (préfixé) → mises à jour, une par jour de service
+  const trips = new Map(), dates = new Set();
+  for (const feed of Object.values(realtime.feeds)) {
+    const { operator } = feed;
+    for (const tu of feed.updates) {
+      const d = tu.trip.start_date;
+      const entry = {
+        start_date: d ? d.slice(0, 4) + '-' + d.slice(4, 6) + '-' + d.slice(6, 8) : todayISO(),
+        canceled:   tu.trip.schedule_relationship === 'CANCELED' || tu.trip.schedule_relationship === 'DELETED',
+        delay:      tu.delay,
+        timestamp:  tu.timestamp || feed.timestamp,
+        stops:      tu.stop_time_updates.map(u => ({ ...u, stop_id: u.stop_id && operator + ':' + u.stop_id })),
+      };
+      // Trips de frequencies.txt : <trip_id>@<start_time> à l'ingestion
+      const key = operator + ':' + tu.trip.trip_id;
+      for (const k of tu.trip.start_time ? [key, key + '@' + tu.trip.start_time] : [key]) {
+        if (!trips.has(k)) trips.set(k, []);
+        trips.get(k).push(entry);
+      }
+      dates.add(entry.start_date);
+    }
+  }
+  const alerts    = Object.values(realtime.feeds).flatMap(f => f.alerts);
+  const noService = alerts.filter(a => a.effect === 'NO_SERVICE');
+
+  const routing = realtime.version === 0 || trips.size || realtime.trips.size
+    || JSON.stringify(noService) !== JSON.stringify(realtime.noService);
+  realtime = { ...realtime, version: realtime.version + 1, trips, dates, alerts, noService };
+  if (routing) {
+    dateCache.clear();
+    dataCache.clear();
+  }
+  console.log('  Temps réel : ' + trips.size + ' trips mis à jour, ' + alerts.length + ' alertes (v' + realtime.version + ')');
+}
 
-  return 'FRECCIAROSSA';
+function startRealtime() {
+  const sources = realtimeSources();
+  if (!sources.length) return;
+  console.log('  Temps réel : ' + sources.map(s => s.operator + ' ' + s.kind + ' ← ' + s.source).join(', '));
+  const tick = () => refreshRealtime(sources).catch(err => console.warn('  ⚠  Temps réel : ' + err.message));
+  tick();
+  setInterval(tick, REALTIME_INTERVAL).unref();
 }
 
-function tiRouteName(trainType) {
-  return { FRECCIAROSSA:'Frecciarossa', EURONIGHT:'Euronight',
-           IC_IT:'Intercity', REGIONALE_IT:'Regionale' }[trainType] || 'Frecciarossa';
+// Vue de trip avec ses mises à jour du jour de service, ou null si supprimé.
+// Trip direct (block_id) : chaque segment a les mises à jour de son trip ; un
+// segment supprimé rend ses arrêts inutilisables, le reste du train roule.
+function withRealtime(view, serviceDate) {
+  if (!realtime.dates.has(serviceDate)) return view;
+  const segments = throughTrips[view.trip_id] || [{ trip_id: view.trip_id, first: 0 }];
+  const updates  = segments.map(seg => (realtime.trips.get(seg.trip_id) || []).find(u => u.start_date === serviceDate));
+  if (!updates.some(Boolean)) return view;
+  if (segments.length === 1 && updates[0].canceled) return null;
+  return { ...view, rt: tripRealtime(view, serviceDate, segments, updates) };
 }
 
-function tiAdjust(seconds, dateISO) {
-  if (seconds == null) return seconds;
-  if (dateISO) {
-    const month = new Date(dateISO + 'T12:00:00Z').getUTCMonth() + 1;
-    return seconds + (month >= 4 && month <= 9 ? 7200 : 3600);
+// Retards par arrêt. À l'arrêt de jonction d'un trip direct, l'arrivée relève
+// du segment qui s'y termine et le départ du suivant ; le retard se propage
+// d'un segment à l'autre (c'est le même train).
+function tripRealtime(trip, serviceDate, segments, updates) {
+  const rt     = emptyRealtime(trip.n);
+  const events = [];
+  const ev     = j => events[j] || (events[j] = {});
+
+  segments.forEach((seg, s) => {
+    const u = updates[s];
+    if (!u) return;
+    rt.timestamp = Math.max(rt.timestamp || 0, u.timestamp || 0) || null;
+    const last   = s === segments.length - 1;
+    const end    = last ? trip.n - 1 : segments[s + 1].first;
+    const ownArr = j => s === 0 || j > seg.first;
+    const ownDep = j => last || j < end;
+    const skip   = j => {
+      if (ownArr(j)) rt.skip[j] |= RT_NO_ARR;
+      if (ownDep(j)) rt.skip[j] |= RT_NO_DEP;
+    };
+
+    if (u.canceled) {
+      for (let j = seg.first; j <= end; j++) skip(j);
+      return;
+    }
+    if (u.delay != null) ev(seg.first).tripDelay = u.delay;
+    let from = seg.first;
+    for (const x of u.stops) {
+      let j = from;
+      while (x.stop_id && j <= end && stopAt(trip, j) !== x.stop_id) j++;
+      if (!x.stop_id || j > end) continue;
+      from = j + 1;
+      if (x.schedule_relationship === 'SKIPPED') skip(j);
+      else if (x.schedule_relationship === 'NO_DATA') ev(j).noData = true;
+      else {
+        if (ownArr(j)) ev(j).arr = x.arrival;
+        if (ownDep(j)) ev(j).dep = x.departure;
+      }
+    }
+  });
+
+  // Retard d'un événement : time (instant absolu) ou delay
+  const base    = serviceDayBase(serviceDate, trip.tz || REF_TZ) / 1000;
+  const delayOf = (e, raw) => !e ? null : (e.time != null && raw != null ? e.time - (base + raw) : e.delay);
+
+  let cur = 0;
+  for (let j = 0; j < trip.n; j++) {
+    const e    = events[j] || {};
+    const rawA = rawArr(trip, j) ?? rawDep(trip, j), rawD = rawDep(trip, j) ?? rawArr(trip, j);
+    if (e.noData) cur = 0;
+    const a = delayOf(e.arr, rawA) ?? delayOf(e.dep, rawD) ?? cur;
+    let   d = delayOf(e.dep, rawD) ?? e.tripDelay ?? a;
+    if (rawA != null && rawD != null && rawD + d < rawA + a) d = rawA + a - rawD;   // pas de départ avant l'arrivée
+    rt.arr[j] = a;
+    rt.dep[j] = d;
+    if (!(rt.skip[j] & RT_NO_DEP)) cur = d;
   }
-  return seconds + 3600;
+  rt.updated = true;
+  return rt;
+}
+
+function emptyRealtime(n) {
+  return { arr: new Int32Array(n), dep: new Int32Array(n), skip: new Uint8Array(n), updated: false, timestamp: null };
+}
+
+// Statut temps réel d'un leg : null si l'opérateur n'a pas de flux
+function legRealtime(p, toStop, op, depLocal, arrLocal) {
+  const feed = realtime.feeds[op + ':trip_updates'];
+  if (!feed?.fetched_at) return null;
+  const stopIds = p.rt?.updated && routesInfo[p.route_id]?.stops;
+  const from    = stopIds ? stopIds.indexOf(p.from_stop) : -1;
+  const to      = from >= 0 ? stopIds.indexOf(toStop, from + 1) : -1;
+  if (to < 0) return { status: 'scheduled', updated_at: feed.fetched_at };
+
+  const depDelay = p.rt.dep[from], arrDelay = p.rt.arr[to];
+  const skipped  = [];
+  for (let j = from + 1; j < to; j++) if (p.rt.skip[j]) skipped.push(stopIds[j]);
+  return {
+    status:            depDelay >= 60 || arrDelay >= 60 ? 'delayed' : 'on_time',
+    dep_delay:         Math.round(depDelay / 60),
+    arr_delay:         Math.round(arrDelay / 60),
+    scheduled_dep_str: secondsToHHMM(depLocal - depDelay),
+    scheduled_arr_str: secondsToHHMM(arrLocal - arrDelay),
+    ...(skipped.length && { skipped_stops: skipped.map(sid => ({ id: sid, name: resolveStopName(sid) })) }),
+    updated_at:        p.rt.timestamp ? new Date(p.rt.timestamp * 1000).toISOString() : feed.fetched_at,
+  };
+}
+
+function realtimeStatus() {
+  return Object.values(realtime.feeds).map(f => ({
+    operator:   f.operator,
+    kind:       f.kind,
+    source:     f.source,
+    fetched_at: f.fetched_at,
+    feed_time:  f.timestamp ? new Date(f.timestamp * 1000).toISOString() : null,
+    ...(f.kind === 'trip_updates' ? {
+      trips:    f.updates.length,
+      canceled: f.updates.filter(tu => ['CANCELED', 'DELETED'].includes(tu.trip.schedule_relationship)).length,
+    } : {
+      alerts:   f.alerts.length,
+    }),
+    error:      f.error,
+  }));
+}
+
+// ─── Alertes (GTFS-RT Alerts) ─────────────────────────────────────────────────
+// Grèves, travaux, gares fermées… Chaque alerte désigne des entités (agence,
+// route, type de route, trip, arrêt ; tous les champs d'une entité doivent
+// correspondre) et des périodes d'activité (aucune = toujours active). Elles
+// sont jointes aux legs (trip, route, opérateur, arrêts de montée et de
+// descente), aux destinations de /api/explore et servies par /api/alerts.
+// Un agency_id désigne tout l'opérateur (engine_data ne garde pas l'agence
+// de chaque trip).
+
+// Identifiants du flux → identifiants du moteur (préfixe opérateur)
+function prefixAlert(operator, a) {
+  const P = id => id && operator + ':' + id;
+  return {
+    ...a,
+    id:       P(a.id),
+    operator,
+    informed_entities: a.informed_entities
+      .filter(e => e.agency_id || e.route_id || e.route_type != null || e.trip_id || e.stop_id)
+      .map(e => ({ ...e, route_id: P(e.route_id), trip_id: P(e.trip_id), stop_id: P(e.stop_id) })),
+  };
+}
+
+// Alerte active sur [from, to] (secondes UTC)
+function alertActive(a, from, to) {
+  if (!a.active_periods.length) return true;
+  return a.active_periods.some(p => (p.start == null || p.start <= to) && (p.end == null || p.end >= from));
+}
+
+function stopMatches(e, sid) {
+  return sid === e.stop_id || stops[sid]?.parent_station === e.stop_id;
+}
+
+// Entité e ↔ trajet sur un trip : { operator, routeId (pattern), tripIds }
+function entityMatchesTrip(e, operator, routeId, tripIds) {
+  if (operator && operator !== e.operator) return false;
+  if (e.route_id && e.route_id !== gtfsRouteId(routeId)) return false;
+  if (e.route_type != null && routesInfo[routeId]?.type !== e.route_type) return false;
+  if (e.trip_id && !tripIds.includes(e.trip_id)) return false;
+  return true;
+}
+
+function entitiesOf(a) {
+  return a.informed_entities.map(e => ({ ...e, operator: a.operator }));
+}
+
+// Texte dans la langue demandée, sinon sans langue, sinon le premier
+function pickText(t, lang) {
+  if (!t) return null;
+  return t[lang] ?? t[''] ?? Object.values(t)[0] ?? null;
+}
+
+function alertSummary(a, lang = 'fr') {
+  return {
+    id:          a.id,
+    cause:       a.cause,
+    effect:      a.effect,
+    severity:    a.severity,
+    header:      pickText(a.header_text, lang),
+    description: pickText(a.description_text, lang),
+    url:         pickText(a.url, lang),
+  };
+}
+
+function alertOut(a, lang = 'fr') {
+  const iso = t => t == null ? null : new Date(t * 1000).toISOString();
+  return {
+    ...alertSummary(a, lang),
+    operator:          a.operator,
+    active_periods:    a.active_periods.map(p => ({ start: iso(p.start), end: iso(p.end) })),
+    informed_entities: a.informed_entities,
+    header_text:       a.header_text,
+    description_text:  a.description_text,
+  };
+}
+
+// trip_id GTFS d'un trip du moteur : lui-même, ses segments (trip direct),
+// le trip de frequencies.txt dont il est issu (<trip_id>@<start_time>)
+function tripIdsOf(tripId) {
+  const ids = [tripId, ...(throughTrips[tripId] || []).map(seg => seg.trip_id)];
+  return ids.flatMap(id => id.includes('@') ? [id, id.slice(0, id.lastIndexOf('@'))] : [id]);
+}
+
+// Alertes d'un leg actives pendant le trajet (recherche sans date : aujourd'hui)
+function legAlerts(p, toStop, op, depIso, arrIso) {
+  if (!realtime.alerts.length) return [];
+  const [from, to] = depIso && arrIso ? [Date.parse(depIso) / 1000, Date.parse(arrIso) / 1000] : dayRange(null);
+  const tripIds    = tripIdsOf(p.trip_id);
+  return realtime.alerts
+    .filter(a => alertActive(a, from, to) && entitiesOf(a).some(e =>
+      entityMatchesTrip(e, op, p.route_id, tripIds) &&
+      (!e.stop_id || stopMatches(e, p.from_stop) || stopMatches(e, toStop))))
+    .map(a => alertSummary(a));
 }
 
-function detectTrainType(fromStopId, tripId, stored, op, routeId) {
-  if (stored) return stored;
-  const operator = op || extractOperator(fromStopId);
+// Alertes d'arrêts (sans trip ni route) actives le jour dateISO
+function stopAlerts(sids, dateISO) {
+  if (!realtime.alerts.length) return [];
+  const [from, to] = dayRange(dateISO);
+  return realtime.alerts
+    .filter(a => alertActive(a, from, to) && a.informed_entities.some(e =>
+      e.stop_id && !e.trip_id && !e.route_id && sids.some(sid => stopMatches(e, sid))))
+    .map(a => alertSummary(a));
+}
 
-  if (operator === 'TI') return detectTrainTypeTI(tripId, routeId);
+// Jour de recherche [début, fin] en secondes UTC ; sans date : aujourd'hui
+function dayRange(dateISO) {
+  const d = dateISO || todayISO();
+  return [serviceDayBase(d, REF_TZ) / 1000, serviceDayBase(addDaysISO(d, 1), REF_TZ) / 1000];
+}
 
-  const tid  = (tripId || '').toUpperCase();
-  const m    = (fromStopId || '').match(/StopPoint:OCE(.+)-\d{8}$/);
-  const quai = m ? m[1].trim() : '';
-  if (quai==='OUIGO' || tid.includes('OUIGO')) {
-    const n   = (tripId || '').match(/^OCESN([47]\d{3})/);
-    const num = n ? parseInt(n[1]) : null;
-    if (num !== null) return Math.floor(num/1000)===7 ? 'OUIGO' : 'OUIGO_CLASSIQUE';
-    return 'OUIGO';
+// NO_SERVICE : trip retiré (entité sans arrêt) ou arrêts fermés (entité avec
+// stop_id) pendant la période de l'alerte. Un trip direct dont un segment est
+// visé disparaît ; le trip d'origine de l'autre segment reste disponible.
+function withServiceAlerts(view, routeId, serviceDate) {
+  if (!view || !realtime.noService.length) return view;
+  const base     = serviceDayBase(serviceDate, view.tz || REF_TZ) / 1000;
+  const at       = (j, arr) => base + ((arr ? rawArr(view, j) ?? rawDep(view, j) : rawDep(view, j) ?? rawArr(view, j)) ?? 0);
+  const operator = tripOperator(view);
+  const tripIds  = tripIdsOf(view.trip_id);
+  let rt = view.rt || null;
+
+  for (const a of realtime.noService) {
+    for (const e of entitiesOf(a)) {
+      if (!entityMatchesTrip(e, operator, routeId, tripIds)) continue;
+      if (!e.stop_id) {
+        if (alertActive(a, at(0, false), at(view.n - 1, true))) return null;
+        continue;
+      }
+      for (let j = 0; j < view.n; j++) {
+        if (!stopMatches(e, stopAt(view, j)) || !alertActive(a, at(j, true), at(j, false))) continue;
+        rt = rt || emptyRealtime(view.n);
+        rt.skip[j] |= RT_NO_ARR | RT_NO_DEP;
+      }
+    }
   }
-  if (quai==='TGV INOUI'         || tid.includes('INOUI'))      return 'INOUI';
-  if (quai==='INTERCITES de nuit')                               return 'IC_NUIT';
-  if (quai==='INTERCITES'        || tid.includes('INTERCITES'))  return 'IC';
-  if (quai==='Lyria'             || tid.includes('LYRIA'))       return 'LYRIA';
-  if (quai==='ICE')                                              return 'ICE';
-  if (quai==='TramTrain')                                        return 'TRAMTRAIN';
-  if (quai==='Car TER')                                          return 'CAR';
-  if (quai==='Train TER')                                        return 'TER';
-  if (quai==='Navette')                                          return 'NAVETTE';
-  return 'TRAIN';
+  return rt && rt !== view.rt ? { ...view, rt } : view;
 }
 
-// ─── RAPTOR ───────────────────────────────────────────────────────────────────
+// ─── Contraintes de recherche ─────────────────────────────────────────────────
+// avoid_stops / exclude_operators / only_operators / train_types : on restreint
+// le réseau que voient les moteurs plutôt que de filtrer leurs résultats. Les
+// trips d'un opérateur exclu ou d'un type non demandé disparaissent ; les arrêts
+// évités sont retirés des patterns (le train y passe sans qu'on puisse y
+// monter, descendre ou changer).
+
+function tripOperator(trip) {
+  return trip.operator || extractOperator(trip.n ? stopAt(trip, 0) : null);
+}
+
+// Type de train d'un trip (classé à l'ingestion, sinon d'après sa route)
+function tripTrainType(trip) {
+  const routeId = tripRoutes.get(trip.trip_id);
+  return legTrainType({ trip_id: trip.trip_id, train_type: trip.train_type, route_id: routeId,
+                        from_stop: trip.n ? stopAt(trip, 0) : null }, tripOperator(trip));
+}
 
-function buildStopToTrips(tripsData) {
-  const index = {};
-  for (const [routeId, trips] of Object.entries(tripsData)) {
-    for (const trip of trips) {
-      for (let i = 0; i < trip.stop_times.length; i++) {
-        const sid = trip.stop_times[i].stop_id;
-        if (!index[sid]) index[sid] = [];
-        index[sid].push({ routeId, trip, idx: i });
+function constrainNetwork(net, { avoid = null, operatorOk = null, allowedTypes = null } = {}) {
+  if (!avoid?.size && !operatorOk && !allowedTypes) return net;
+
+  const tripOk = t => (!operatorOk || operatorOk(tripOperator(t))) &&
+                      (!allowedTypes || allowedTypes.has(tripTrainType(t)));
+  const routePatterns = {};
+  for (const [rid, patterns] of Object.entries(net.routePatterns)) {
+    const kept = [];
+    for (const p of patterns) {
+      const trips = operatorOk || allowedTypes ? p.trips.filter(tripOk) : p.trips;
+      if (!trips.length) continue;
+      if (!avoid?.size || !p.stops.some(sid => avoid.has(sid))) {
+        kept.push(trips === p.trips ? p : { ...p, trips });
+        continue;
       }
+      // Arrêts évités : null dans stops (ignorés par les scans), absents de pos
+      const pos = {};
+      for (const [sid, idxs] of Object.entries(p.pos)) if (!avoid.has(sid)) pos[sid] = idxs;
+      kept.push({ ...p, trips, stops: p.stops.map(sid => avoid.has(sid) ? null : sid), pos });
     }
+    if (kept.length) routePatterns[rid] = kept;
   }
-  return index;
+  return { routePatterns };
 }
 
-function scanTrip(trip, fromIdx, tauBest, tau_cur, parent, routeId, dateISO) {
-  let boarded  = false;
-  let boardStop = null;
-  let boardDep  = null;
+// Route GTFS d'une route RAPTOR : les routes sont découpées par suite d'arrêts
+// à l'ingestion (<route_id>#n) ; les anciens engine_data n'ont pas de route_id
+function gtfsRouteId(routeId) {
+  return routesInfo[routeId]?.route_id || routeId;
+}
 
-  const isTI = trip.operator === 'TI';
+// ─── Type de train ────────────────────────────────────────────────────────────
+// Classé à l'ingestion (train_type de route_trips.bin, cf. train-types.json) ;
+// reclassé ici seulement pour un engine_data qui n'en a pas.
+
+function legTrainType(p, op) {
+  if (p.train_type) return p.train_type;
+  const route = routesInfo[p.route_id] || {};
+  return trainTypes.classify(op, {
+    stopId:     p.from_stop,
+    tripId:     p.trip_id.startsWith(op + ':') ? p.trip_id.slice(op.length + 1) : p.trip_id,
+    routeShort: route.short,
+    routeLong:  route.long,
+  });
+}
 
-  for (let i = fromIdx; i < trip.stop_times.length; i++) {
-    const st  = trip.stop_times[i];
-    const sid = st.stop_id;
+// Nom affiché de la route : le nom du type pour les flux sans route_short_name utile
+function routeDisplayName(routeId, op, trainType) {
+  const route = routesInfo[routeId] || {};
+  return trainTypes.operatorRouteName(op) === 'type' ? trainType.name : (route.short || route.long || routeId);
+}
 
-    if (!boarded) {
-      const tau = tauBest[sid];
-      if (tau !== undefined) {
-        const rawDep = st.dep_time ?? st.arr_time;
-        const dep = (isTI && rawDep != null) ? tiAdjust(rawDep, dateISO) : rawDep;
-        if (dep != null && dep >= tau) {
-          boarded   = true;
-          boardStop = sid;
-          boardDep  = dep;
-        }
+// Paramètre train_types= : ids de type et/ou catégories (high-speed, night…)
+function parseTrainTypes(param) {
+  if (!param) return null;
+  const allowed = new Set();
+  for (const v of param.split(',').map(s => s.trim()).filter(Boolean)) {
+    if (!trainTypes.categories.includes(v)) { allowed.add(v); continue; }
+    for (const [id, t] of Object.entries(trainTypes.types)) if (t.category === v) allowed.add(id);
+  }
+  return allowed;
+}
+
+// ─── Réseau (patterns) ────────────────────────────────────────────────────────
+// Chaque route est découpée en patterns : trips qui desservent exactement la
+// même suite d'arrêts, triés par départ et sans dépassement (un trip qui en
+// double un autre ouvre un nouveau pattern). C'est ce qui permet le scan RAPTOR
+// par route : premier trip attrapable par dichotomie, puis un seul parcours.
+//   net.routePatterns[routeId] = [{ routeId, stops, pos, trips }]
+//   pos[stopId] : indice(s) de l'arrêt dans stops (plusieurs si le trip boucle)
+// L'entrée arrêt → routes est routes_by_stop.json (gtfs-ingest).
+
+const patternShapes = new Map();   // suite d'arrêts → { stops, pos }, partagé entre les jours
+let   globalNet     = null;        // réseau sans filtre de date, construit à la demande
+
+function buildNetwork(tripsByRoute) {
+  const routePatterns = {};
+  for (const [routeId, trips] of Object.entries(tripsByRoute)) {
+    const bySeq = new Map();
+    for (const t of trips) {
+      const key = stopTimes.stop.subarray(t.st, t.st + t.n).join(',');
+      if (!bySeq.has(key)) bySeq.set(key, []);
+      bySeq.get(key).push(t);
+    }
+
+    const patterns = [];
+    for (const [key, seqTrips] of bySeq) {
+      if (!patternShapes.has(key)) {
+        const stopsSeq = tripStops(seqTrips[0]);
+        const pos = {};
+        stopsSeq.forEach((sid, j) => { (pos[sid] = pos[sid] || []).push(j); });
+        patternShapes.set(key, { stops: stopsSeq, pos });
       }
-      continue;
+      const shape = patternShapes.get(key);
+
+      // Tri sur l'horaire théorique : le départ temps réel du premier arrêt
+      // peut manquer (arrêt supprimé), l'ordre réel est vérifié par overtakes
+      seqTrips.sort((a, b) => scheduledStart(a) - scheduledStart(b));
+      const chains = [];
+      for (const t of seqTrips) {
+        const chain = chains.find(c => !overtakes(t, c));
+        if (chain) chain.push(t); else chains.push([t]);
+      }
+      for (const c of chains) patterns.push({ routeId, stops: shape.stops, pos: shape.pos, trips: c });
     }
+    routePatterns[routeId] = patterns;
+  }
+  return { routePatterns };
+}
 
-    const rawArr = st.arr_time ?? st.dep_time;
-    const arr = (isTI && rawArr != null) ? tiAdjust(rawArr, dateISO) : rawArr;
-    if (arr == null) continue;
-
-    if (arr < (tauBest[sid] ?? Infinity)) {
-      tauBest[sid]  = arr;
-      tau_cur[sid]  = arr;
-      parent[sid]   = {
-        from_stop:  boardStop,
-        trip_id:    trip.trip_id,
-        route_id:   routeId,
-        dep_time:   boardDep,
-        arr_time:   arr,
-        train_type: trip.train_type || null,
-        operator:   trip.operator   || null,
-      };
+function scheduledStart(t) {
+  return stTime(t, rawDep(t, 0) ?? rawArr(t, 0)) ?? 0;
+}
+
+// t part après la chaîne mais rattrape quelque part (départ ou arrivée plus tôt)
+// le dernier de ses trips qui dessert l'arrêt : les arrêts supprimés (null) ne
+// cassent pas l'ordre des horaires restants, sur lequel se fait la dichotomie.
+function overtakes(t, chain) {
+  for (let j = 0; j < t.n; j++) {
+    const d = stDep(t, j), a = stArr(t, j);
+    if (d != null) {
+      const dp = chainTime(chain, c => stDep(c, j));
+      if (dp != null && d < dp) return true;
+    }
+    if (a != null) {
+      const ap = chainTime(chain, c => stArr(c, j));
+      if (ap != null && a < ap) return true;
+    }
+  }
+  return false;
+}
+
+function chainTime(chain, time) {
+  for (let k = chain.length - 1; k >= 0; k--) {
+    const v = time(chain[k]);
+    if (v != null) return v;
+  }
+  return null;
+}
+
+function globalNetwork() {
+  if (!globalNet) globalNet = buildNetwork(routeTrips);
+  return globalNet;
+}
+
+// Patterns du réseau qui desservent sid
+function patternsAt(net, sid) {
+  const out = [];
+  for (const rid of (routesByStop[sid] || [])) {
+    for (const p of (net.routePatterns[rid] || [])) if (p.pos[sid]) out.push(p);
+  }
+  return out;
+}
+
+// Patterns à parcourir pour un round, avec pour chacun le premier arrêt marqué
+// (le dernier pour le RAPTOR inversé)
+function collectPatterns(net, marked, reverse = false) {
+  const queue = new Map();
+  for (const sid of marked) {
+    for (const p of patternsAt(net, sid)) {
+      const idxs = p.pos[sid];
+      const j    = reverse ? idxs[idxs.length - 1] : idxs[0];
+      const cur  = queue.get(p);
+      if (cur === undefined || (reverse ? j > cur : j < cur)) queue.set(p, j);
+    }
+  }
+  return queue;
+}
+
+// Heures effectives d'un stop_time dans le référentiel du moteur : les horaires
+// GTFS (heure locale du fuseau du trip, jour de service du trip) sont décalés de
+// time_shift, calculé par getFilteredData pour chaque jour de recherche, puis
+// retardés d'après le temps réel (trip.rt) : null si l'arrêt est supprimé.
+function stTime(trip, raw) {
+  if (raw == null) return raw;
+  return raw + (trip.time_shift ?? defaultShift(trip.tz));
+}
+function stDep(trip, j) {
+  const t = stTime(trip, rawDep(trip, j) ?? rawArr(trip, j));
+  if (!trip.rt || t == null) return t;
+  return trip.rt.skip[j] & RT_NO_DEP ? null : t + trip.rt.dep[j];
+}
+function stArr(trip, j) {
+  const t = stTime(trip, rawArr(trip, j) ?? rawDep(trip, j));
+  if (!trip.rt || t == null) return t;
+  return trip.rt.skip[j] & RT_NO_ARR ? null : t + trip.rt.arr[j];
+}
+
+// Accès aux stop_times d'un trip (indices trip.st .. trip.st + trip.n - 1)
+function stopAt(trip, j) { return stopTimes.stopIds[stopTimes.stop[trip.st + j]]; }
+function rawDep(trip, j) { const v = stopTimes.dep[trip.st + j]; return v === NO_TIME ? null : v; }
+function rawArr(trip, j) { const v = stopTimes.arr[trip.st + j]; return v === NO_TIME ? null : v; }
+function tripStops(trip) {
+  const out = new Array(trip.n);
+  for (let j = 0; j < trip.n; j++) out[j] = stopAt(trip, j);
+  return out;
+}
+
+// Dichotomie sur des horaires croissants mais troués (arrêt supprimé en temps
+// réel : null) : un trou prend la valeur du plus proche voisin non nul à gauche,
+// ou est franchi s'il n'y en a pas. Renvoie le premier indice k tel que
+// before(time(trips[k])) est faux (les trous ne comptent pas).
+function firstNotBefore(trips, time, before) {
+  let lo = 0, hi = trips.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    let k = mid, t = time(trips[k]);
+    while (t == null && k > lo) t = time(trips[--k]);
+    if (t == null || before(t)) lo = mid + 1; else hi = k;
+  }
+  return lo;
+}
+
+// Premier trip du pattern attrapable à l'arrêt j pour un voyageur présent à tau,
+// arrivé par prevLeg : dichotomie sur les départs, puis règles de correspondance.
+function earliestTrip(p, j, tau, prevLeg) {
+  const trips = p.trips;
+  const lo    = firstNotBefore(trips, t => stDep(t, j), dep => dep < tau);
+  for (let k = lo; k < trips.length; k++) {
+    const dep = stDep(trips[k], j);
+    if (dep != null && dep >= boardReadyTime(p.stops[j], tau, prevLeg, trips[k], p.routeId)) return k;
+  }
+  return -1;
+}
+
+// Symétrique : dernier trip dont on peut descendre à l'arrêt j avant tau pour
+// prendre ensuite nextLeg
+function latestTrip(p, j, tau, nextLeg) {
+  const trips = p.trips;
+  const lo    = firstNotBefore(trips, t => stArr(t, j), arr => arr <= tau);
+  for (let k = lo - 1; k >= 0; k--) {
+    const arr = stArr(trips[k], j);
+    if (arr != null && arr <= alightDeadline(p.stops[j], tau, nextLeg, trips[k], p.routeId)) return k;
+  }
+  return -1;
+}
+
+function rideLeg(trip, routeId, fromStop, depTime, arrTime) {
+  return {
+    from_stop:  fromStop,
+    trip_id:    trip.trip_id,
+    route_id:   routeId,
+    dep_time:   depTime,
+    arr_time:   arrTime,
+    train_type: trip.train_type || null,
+    operator:   trip.operator   || null,
+    day_offset: trip.day_offset ?? 0,
+    rt:         trip.rt || null,
+  };
+}
+
+// ─── RAPTOR ───────────────────────────────────────────────────────────────────
+
+// Parcourt le pattern p depuis l'arrêt start. On monte dans le premier trip
+// attrapable d'après tauPrev (labels du round précédent, legPrev : leg qui y
+// mène) et l'on change pour un trip plus tôt dès qu'un arrêt le permet ;
+// onArrival(sid, arr, trip, boardStop, boardDep) pour chaque arrêt suivant.
+function scanPattern(p, start, tauPrev, legPrev, onArrival) {
+  let k = -1, boardStop = null, boardDep = null;
+  for (let j = start; j < p.stops.length; j++) {
+    const sid = p.stops[j];
+    if (sid === null) continue;   // arrêt évité (constrainNetwork)
+
+    if (k >= 0) {
+      const trip = p.trips[k];
+      const arr  = stArr(trip, j);
+      if (arr != null) onArrival(sid, arr, trip, boardStop, boardDep);
+    }
+
+    const tau = tauPrev[sid];
+    if (tau === undefined) continue;
+    if (k >= 0 && tau > (stDep(p.trips[k], j) ?? Infinity)) continue;
+    const k2 = earliestTrip(p, j, tau, legPrev[sid]);
+    if (k2 >= 0 && (k < 0 || k2 < k)) {
+      k = k2;
+      boardStop = sid;
+      boardDep  = stDep(p.trips[k], j);
     }
   }
 }
 
-function raptorCore(originIds, destIds, startTime, stopToTripsData, dateISO) {
+function raptorCore(originIds, destIds, startTime, net, dateISO, maxRounds = MAX_ROUNDS) {
   const tau_best  = {};
   const parent    = {};
   const originSet = new Set();
@@ -477,7 +1260,9 @@ function raptorCore(originIds, destIds, startTime, stopToTripsData, dateISO) {
 
     for (const entry of transferEntries(oid)) {
       const sister = entry.id;
-      const t = startTime + transferTime(oid, entry);
+      const tt = transferTime(oid, entry);
+      if (tt == null) continue;
+      const t = startTime + tt;
       if (t < (tau_best[sister] ?? Infinity)) {
         tau_best[sister] = t;
         marked.add(sister);
@@ -495,15 +1280,19 @@ function raptorCore(originIds, destIds, startTime, stopToTripsData, dateISO) {
   const destSet   = destIds ? new Set(destIds) : null;
   const collected = new Set();
 
-  for (let round = 1; round <= MAX_ROUNDS; round++) {
+  for (let round = 1; round <= maxRounds; round++) {
     const tau_prev_round = { ...tau_best };
+    const parent_prev    = { ...parent };
     const tau_cur        = {};
     const newMarked      = new Set();
 
-    for (const stop of marked) {
-      for (const { routeId, trip, idx } of (stopToTripsData[stop] || [])) {
-        scanTrip(trip, idx, tau_best, tau_cur, parent, routeId, dateISO);
-      }
+    for (const [p, start] of collectPatterns(net, marked)) {
+      scanPattern(p, start, tau_prev_round, parent_prev, (sid, arr, trip, boardStop, boardDep) => {
+        if (arr >= (tau_best[sid] ?? Infinity)) return;
+        tau_best[sid] = arr;
+        tau_cur[sid]  = arr;
+        parent[sid]   = rideLeg(trip, p.routeId, boardStop, boardDep, arr);
+      });
     }
 
     for (const [sid, arr] of Object.entries(tau_cur)) {
@@ -511,7 +1300,9 @@ function raptorCore(originIds, destIds, startTime, stopToTripsData, dateISO) {
 
       for (const entry of transferEntries(sid)) {
         const sister = entry.id;
-        const t = arr + transferTime(sid, entry);
+        const tt = transferTime(sid, entry);
+        if (tt == null) continue;
+        const t = arr + tt;
         if (t < (tau_best[sister] ?? Infinity)) {
           tau_best[sister] = t;
           tau_cur[sister]  = t;
@@ -528,8 +1319,8 @@ function raptorCore(originIds, destIds, startTime, stopToTripsData, dateISO) {
         if (tau_cur[did] !== undefined && tau_cur[did] < (tau_prev_round[did] ?? Infinity)) {
           const j = reconstructJourney(parent, originSet, did, dateISO);
           if (j) {
-            const key = j.legs.map(l => l.trip_id).join('|');
-            if (!results.some(r => r.legs.map(l => l.trip_id).join('|') === key)) {
+            const key = journeyKey(j);
+            if (!results.some(r => journeyKey(r) === key)) {
               results.push(j);
             }
           }
@@ -554,6 +1345,421 @@ function raptorCore(originIds, destIds, startTime, stopToTripsData, dateISO) {
   return results;
 }
 
+// ─── Range RAPTOR (profil sur une fenêtre de départ) ──────────────────────────
+// Un seul passage pour toute la fenêtre : on itère sur les heures de départ
+// réelles aux origines, de la plus tardive à la plus tôt, en conservant les
+// labels par round (tauK[k][stop]) d'une itération à l'autre. Un départ plus
+// tôt ne peut qu'améliorer les labels, ce qui élague les itérations suivantes.
+
+function originDepartures(originIds, fromTime, toTime, net) {
+  const offsets = new Map();   // stopId → délai d'accès depuis l'origine
+  for (const oid of originIds) {
+    offsets.set(oid, 0);
+    for (const entry of transferEntries(oid)) {
+      const t = transferTime(oid, entry);
+      if (t != null && t < (offsets.get(entry.id) ?? Infinity)) offsets.set(entry.id, t);
+    }
+  }
+
+  const deps = new Set();
+  for (const [sid, off] of offsets) {
+    for (const p of patternsAt(net, sid)) {
+      for (const j of p.pos[sid]) {
+        for (const trip of p.trips) {
+          const dep = stDep(trip, j);
+          if (dep == null) continue;
+          const t = dep - off;
+          if (t >= fromTime && t <= toTime) deps.add(t);
+        }
+      }
+    }
+  }
+  return [...deps].sort((a, b) => b - a);
+}
+
+function rangeRaptor(originIds, destIds, fromTime, toTime, net, dateISO) {
+  const tauK    = [];   // tauK[k][stop]   : meilleure arrivée en k trains
+  const parentK = [];   // parentK[k][stop]
+  for (let k = 0; k <= MAX_ROUNDS; k++) { tauK.push({}); parentK.push({}); }
+
+  // Meilleure arrivée à sid en au plus k trains
+  const bestUpTo = (k, sid) => {
+    let best = Infinity;
+    for (let j = 0; j <= k; j++) best = Math.min(best, tauK[j][sid] ?? Infinity);
+    return best;
+  };
+
+  const originSet = new Set(originIds);
+  for (const oid of originIds) {
+    for (const entry of transferEntries(oid)) if (!entry.interCity) originSet.add(entry.id);
+  }
+  const destSet = new Set(destIds);
+
+  const results = [];
+  const seen    = new Set();
+
+  for (const depTime of originDepartures(originIds, fromTime, toTime, net)) {
+    let marked = new Set();
+
+    for (const oid of originIds) {
+      if (depTime < (tauK[0][oid] ?? Infinity)) {
+        tauK[0][oid] = depTime;
+        delete parentK[0][oid];
+        marked.add(oid);
+      }
+      for (const entry of transferEntries(oid)) {
+        const sister = entry.id;
+        const tt = transferTime(oid, entry);
+        if (tt == null) continue;
+        const t = depTime + tt;
+        if (t < (tauK[0][sister] ?? Infinity)) {
+          tauK[0][sister]   = t;
+          parentK[0][sister] = { from_stop:oid, trip_id:null, route_id:null,
+                                 dep_time:depTime, arr_time:t, is_transfer:true };
+          marked.add(sister);
+        }
+      }
+    }
+
+    for (let round = 1; round <= MAX_ROUNDS && marked.size; round++) {
+      const tauPrev  = tauK[round - 1];
+      const tauRound = tauK[round];
+      const improved = new Set();
+
+      for (const [p, start] of collectPatterns(net, marked)) {
+        scanPattern(p, start, tauPrev, parentK[round - 1], (sid, arr, trip, boardStop, boardDep) => {
+          if (arr >= bestUpTo(round, sid)) return;
+          tauRound[sid]       = arr;
+          parentK[round][sid] = rideLeg(trip, p.routeId, boardStop, boardDep, arr);
+          improved.add(sid);
+        });
+      }
+
+      const newMarked = new Set(improved);
+      for (const sid of improved) {
+        for (const entry of transferEntries(sid)) {
+          const sister = entry.id;
+          const tt = transferTime(sid, entry);
+          if (tt == null) continue;
+          const t = tauRound[sid] + tt;
+          if (t < bestUpTo(round, sister)) {
+            tauRound[sister]      = t;
+            parentK[round][sister] = { from_stop:sid, trip_id:null, route_id:null,
+                                       dep_time:tauRound[sid], arr_time:t, is_transfer:true };
+            newMarked.add(sister);
+          }
+        }
+      }
+      marked = newMarked;
+
+      for (const did of destSet) {
+        if (!newMarked.has(did)) continue;
+        const j = reconstructJourneyRounds(parentK, originSet, did, round, dateISO);
+        if (!j || j.dep_time < fromTime || j.dep_time > toTime) continue;
+        const key = journeyKey(j);
+        if (seen.has(key)) continue;
+        seen.add(key);
+        results.push(j);
+      }
+    }
+  }
+
+  // Ne garder que les trajets non dominés (départ plus tard, arrivée plus tôt, moins de correspondances)
+  return results.filter(j => !results.some(o => o !== j &&
+    o.dep_time >= j.dep_time && o.arr_time <= j.arr_time && o.transfers <= j.transfers &&
+    (o.dep_time > j.dep_time || o.arr_time < j.arr_time || o.transfers < j.transfers)));
+}
+
+// ─── RAPTOR inversé (arrivée au plus tard) ────────────────────────────────────
+// Symétrique de rangeRaptor : tauK[k][stop] est l'heure de départ la plus
+// tardive de stop permettant d'atteindre la destination en k trains, et
+// childK[k][stop] l'étape suivante. Profil sur une fenêtre d'arrivée : on itère
+// sur les heures d'arrivée réelles aux destinations, de la plus tôt à la plus
+// tardive ; une arrivée plus tardive ne peut que retarder les départs.
+
+// Symétrique de scanPattern : parcours à rebours depuis l'arrêt start, en
+// descendant du dernier trip qui arrive à temps (tauPrev, childPrev : leg suivant)
+// et en passant à un trip plus tardif dès qu'un arrêt le permet.
+function scanPatternReverse(p, start, tauPrev, childPrev, onDeparture) {
+  let k = -1, alightStop = null, alightArr = null;
+  for (let j = start; j >= 0; j--) {
+    const sid = p.stops[j];
+    if (sid === null) continue;
+
+    if (k >= 0) {
+      const trip = p.trips[k];
+      const dep  = stDep(trip, j);
+      if (dep != null) onDeparture(sid, dep, trip, alightStop, alightArr);
+    }
+
+    const tau = tauPrev[sid];
+    if (tau === undefined) continue;
+    if (k >= 0 && tau < (stArr(p.trips[k], j) ?? -Infinity)) continue;
+    const k2 = latestTrip(p, j, tau, childPrev[sid]);
+    if (k2 >= 0 && (k < 0 || k2 > k)) {
+      k = k2;
+      alightStop = sid;
+      alightArr  = stArr(p.trips[k], j);
+    }
+  }
+}
+
+function destinationArrivals(destIds, fromTime, toTime, net) {
+  const offsets = new Map();   // stopId → délai pour rejoindre la destination
+  for (const did of destIds) {
+    offsets.set(did, 0);
+    for (const entry of transferEntries(did)) {
+      const t = transferTime(entry.id, { ...entry, id: did });
+      if (t != null && t < (offsets.get(entry.id) ?? Infinity)) offsets.set(entry.id, t);
+    }
+  }
+
+  const arrs = new Set();
+  for (const [sid, off] of offsets) {
+    for (const p of patternsAt(net, sid)) {
+      for (const j of p.pos[sid]) {
+        for (const trip of p.trips) {
+          const arr = stArr(trip, j);
+          if (arr == null) continue;
+          const t = arr + off;
+          if (t >= fromTime && t <= toTime) arrs.add(t);
+        }
+      }
+    }
+  }
+  return [...arrs].sort((a, b) => a - b);
+}
+
+function rangeRaptorReverse(originIds, destIds, fromTime, toTime, net, dateISO) {
+  const tauK   = [];   // tauK[k][stop]   : départ le plus tardif en k trains
+  const childK = [];   // childK[k][stop] : étape suivante
+  for (let k = 0; k <= MAX_ROUNDS; k++) { tauK.push({}); childK.push({}); }
+
+  // Départ le plus tardif de sid en au plus k trains
+  const bestUpTo = (k, sid) => {
+    let best = -Infinity;
+    for (let j = 0; j <= k; j++) best = Math.max(best, tauK[j][sid] ?? -Infinity);
+    return best;
+  };
+
+  const destSet = new Set(destIds);
+  for (const did of destIds) {
+    for (const entry of transferEntries(did)) if (!entry.interCity) destSet.add(entry.id);
+  }
+  const originSet = new Set(originIds);
+
+  const results = [];
+  const seen    = new Set();
+
+  for (const arrTime of destinationArrivals(destIds, fromTime, toTime, net)) {
+    let marked = new Set();
+
+    for (const did of destIds) {
+      if (arrTime > (tauK[0][did] ?? -Infinity)) {
+        tauK[0][did] = arrTime;
+        delete childK[0][did];
+        marked.add(did);
+      }
+      for (const entry of transferEntries(did)) {
+        const sister = entry.id;
+        const tt = transferTime(sister, { ...entry, id: did });
+        if (tt == null) continue;
+        const t = arrTime - tt;
+        if (t > (tauK[0][sister] ?? -Infinity)) {
+          tauK[0][sister]   = t;
+          childK[0][sister] = { to_stop:did, trip_id:null, route_id:null,
+                                dep_time:t, arr_time:arrTime, is_transfer:true };
+          marked.add(sister);
+        }
+      }
+    }
+
+    for (let round = 1; round <= MAX_ROUNDS && marked.size; round++) {
+      const tauPrev  = tauK[round - 1];
+      const tauRound = tauK[round];
+      const improved = new Set();
+
+      for (const [p, start] of collectPatterns(net, marked, true)) {
+        scanPatternReverse(p, start, tauPrev, childK[round - 1], (sid, dep, trip, alightStop, alightArr) => {
+          if (dep <= bestUpTo(round, sid)) return;
+          tauRound[sid]      = dep;
+          childK[round][sid] = { ...rideLeg(trip, p.routeId, sid, dep, alightArr), to_stop: alightStop };
+          improved.add(sid);
+        });
+      }
+
+      const newMarked = new Set(improved);
+      for (const sid of improved) {
+        for (const entry of transferEntries(sid)) {
+          const sister = entry.id;
+          const tt = transferTime(sister, { ...entry, id: sid });
+          if (tt == null) continue;
+          const t = tauRound[sid] - tt;
+          if (t > bestUpTo(round, sister)) {
+            tauRound[sister]      = t;
+            childK[round][sister] = { to_stop:sid, trip_id:null, route_id:null,
+                                      dep_time:t, arr_time:tauRound[sid], is_transfer:true };
+            newMarked.add(sister);
+          }
+        }
+      }
+      marked = newMarked;
+
+      for (const oid of originSet) {
+        if (!newMarked.has(oid)) continue;
+        const j = reconstructJourneyRoundsReverse(childK, destSet, oid, round, dateISO);
+        if (!j || j.arr_time < fromTime || j.arr_time > toTime) continue;
+        const key = journeyKey(j);
+        if (seen.has(key)) continue;
+        seen.add(key);
+        results.push(j);
+      }
+    }
+  }
+
+  // Ne garder que les trajets non dominés (départ plus tard, arrivée plus tôt, moins de correspondances)
+  return results.filter(j => !results.some(o => o !== j &&
+    o.dep_time >= j.dep_time && o.arr_time <= j.arr_time && o.transfers <= j.transfers &&
+    (o.dep_time > j.dep_time || o.arr_time < j.arr_time || o.transfers < j.transfers)));
+}
+
+// ─── McRAPTOR (front de Pareto) ───────────────────────────────────────────────
+// Chaque arrêt garde un sac (bag) de labels non dominés au lieu d'un seul
+// tau_best. Label : { arr, legs, xfer, prev, leg }
+//   arr  : heure d'arrivée
+//   legs : nombre de trains pris (correspondances = legs - 1)
+//   xfer : cumul des temps de correspondance à pied / inter-gares (critère optionnel)
+//   prev : label d'où l'on vient, leg : trajet (train ou transfert) qui y mène
+
+const COMPROMISE_PENALTY = 30 * 60;  // 30 min — poids d'une correspondance pour le « meilleur compromis »
+
+function labelDominates(a, b, useXfer) {
+  return a.arr <= b.arr && a.legs <= b.legs && (!useXfer || a.xfer <= b.xfer);
+}
+
+// Insère le label s'il n'est dominé par aucun autre ; retire ceux qu'il domine.
+function bagInsert(bag, label, useXfer) {
+  for (const l of bag) if (labelDominates(l, label, useXfer)) return false;
+  for (let i = bag.length - 1; i >= 0; i--) {
+    if (labelDominates(label, bag[i], useXfer)) bag.splice(i, 1);
+  }
+  bag.push(label);
+  return true;
+}
+
+function mcRaptorCore(originIds, destIds, startTime, net, dateISO, useXfer = false) {
+  const bags      = {};          // stopId → labels non dominés (tous rounds confondus)
+  const originSet = new Set();
+  let   roundLabels = {};        // stopId → labels créés au round précédent
+
+  const addLabel = (sid, label, target) => {
+    if (!bags[sid]) bags[sid] = [];
+    if (!bagInsert(bags[sid], label, useXfer)) return;
+    if (!target[sid]) target[sid] = [];
+    target[sid].push(label);
+  };
+
+  for (const oid of originIds) {
+    addLabel(oid, { arr: startTime, legs: 0, xfer: 0, prev: null, leg: null }, roundLabels);
+    originSet.add(oid);
+  }
+  for (const oid of originIds) {
+    for (const entry of transferEntries(oid)) {
+      const t = transferTime(oid, entry);
+      if (t == null) continue;
+      // Comme dans raptorCore : les quais frères sont des origines, pas les autres gares de la ville
+      addLabel(entry.id, {
+        arr: startTime + t, legs: 0, xfer: entry.interCity ? t : 0, prev: null,
+        leg: { is_transfer: true, from_stop: oid },
+      }, roundLabels);
+      if (!entry.interCity) originSet.add(entry.id);
+    }
+  }
+
+  // Passager a à bord domine b : trip au plus aussi tôt, pas plus de temps de correspondance
+  const dominated = (a, b) => a.k <= b.k && (!useXfer || a.label.xfer <= b.label.xfer);
+
+  for (let round = 1; round <= MAX_ROUNDS; round++) {
+    const tripLabels = {};
+
+    for (const [p, start] of collectPatterns(net, Object.keys(roundLabels))) {
+      // Sac de la route : passagers à bord { label, k (trip), stop, dep }. Un
+      // trip plus tôt arrive plus tôt partout (FIFO) : on ne garde que les
+      // passagers non dominés sur (trip, temps de correspondance).
+      let routeBag = [];
+      for (let j = start; j < p.stops.length; j++) {
+        const sid = p.stops[j];
+        if (sid === null) continue;
+
+        for (const b of routeBag) {
+          const trip = p.trips[b.k];
+          const arr  = stArr(trip, j);
+          if (arr == null) continue;
+          addLabel(sid, {
+            arr, legs: round, xfer: b.label.xfer, prev: b.label,
+            leg: rideLeg(trip, p.routeId, b.stop, b.dep, arr),
+          }, tripLabels);
+        }
+
+        for (const l of (roundLabels[sid] || [])) {
+          const k = earliestTrip(p, j, l.arr, l.leg);
+          if (k < 0) continue;
+          const cand = { label: l, k, stop: sid, dep: stDep(p.trips[k], j) };
+          if (routeBag.some(b => dominated(b, cand))) continue;
+          routeBag = routeBag.filter(b => !dominated(cand, b));
+          routeBag.push(cand);
+        }
+      }
+    }
+
+    const next = {};
+    for (const [sid, labels] of Object.entries(tripLabels)) {
+      for (const l of labels) {
+        if (!next[sid]) next[sid] = [];
+        next[sid].push(l);
+        for (const entry of transferEntries(sid)) {
+          const t = transferTime(sid, entry);
+          if (t == null) continue;
+          addLabel(entry.id, {
+            arr: l.arr + t, legs: l.legs, xfer: l.xfer + t, prev: l,
+            leg: { is_transfer: true, from_stop: sid },
+          }, next);
+        }
+      }
+    }
+    roundLabels = next;
+    if (!Object.keys(roundLabels).length) break;
+  }
+
+  const journeys = [];
+  for (const did of new Set(destIds)) {
+    for (const label of (bags[did] || [])) {
+      if (label.legs === 0) continue;
+      const j = reconstructLabelJourney(label, did, dateISO);
+      if (j) journeys.push({ journey: j, label });
+    }
+  }
+  return journeys;
+}
+
+function reconstructLabelJourney(label, destId, dateISO) {
+  const legs = [];
+  let current = destId;
+  for (let l = label; l && l.leg; l = l.prev) {
+    // Les transferts ne donnent pas de leg (comme reconstructJourney)
+    if (!l.leg.is_transfer) legs.unshift(buildLeg(l.leg, current, dateISO));
+    current = l.leg.from_stop;
+  }
+  const j = buildJourney(legs);
+  if (j) j.transfer_min = Math.round(label.xfer / 60);
+  return j;
+}
+
+// Clé d'identité d'un trajet : le même trip_id peut circuler deux jours de suite
+function journeyKey(j) {
+  return j.legs.map(l => l.trip_id + '@' + (l.service_date || '')).join('|');
+}
+
 // Retourne le nom de la station groupée contenant ce stopId (via stopsIndex)
 function resolveStopName(stopId) {
   for (const station of stopsIndex) {
@@ -574,44 +1780,15 @@ function cityKeyOfStop(stopId) {
   return stopId; // fallback : stopId lui-même
 }
 
-function searchJourneys(originIds, destIds, startTime, stopToTripsData, limit, dateISO, allowedTypes = null) {
-  const seen    = new Set();
-  const results = [];
-  let t       = startTime;
-  const maxT  = startTime + 14 * 3600;
-  let noNewCount = 0;
-
-  while (results.length < limit && t <= maxT) {
-    const batch = raptorCore(originIds, destIds, t, stopToTripsData, dateISO);
-
-    let maxDepThis = -1;
-    for (const j of batch) {
-      if (j.dep_time < startTime) continue;
-      if (allowedTypes && !j.train_types.some(tt => allowedTypes.has(tt))) continue;
-      const key = j.legs.map(l => l.trip_id).join('|');
-      if (!seen.has(key)) {
-        seen.add(key);
-        results.push(j);
-        if (j.dep_time > maxDepThis) maxDepThis = j.dep_time;
-      }
-    }
-
-    if (maxDepThis >= 0) {
-      t = maxDepThis + 1;
-      noNewCount = 0;
-    } else {
-      t += 1800;
-      noNewCount++;
-      if (noNewCount >= 4 && results.length > 0) break;
-    }
-  }
-
-  results.sort((a, b) =>
-    a.transfers - b.transfers ||
-    a.duration  - b.duration  ||
-    a.dep_time  - b.dep_time
-  );
+// Profil complet sur [startTime, endTime] en un seul Range RAPTOR, puis
+// pagination exacte par heure de départ : on renvoie les `limit` premiers
+// départs (plus les ex æquo du dernier), la page suivante commence juste après.
+function searchJourneys(originIds, destIds, startTime, net, limit, dateISO, endTime = startTime + 14 * 3600) {
+  const results = rangeRaptor(originIds, destIds, startTime, endTime, net, dateISO);
+  return paginateByDeparture(results, limit);
+}
 
+function paginateByDeparture(results, limit) {
   // Dédupliquer par ville d'arrivée + heure de départ :
   // pour un même départ ET une même ville d'arrivée, ne garder que le plus rapide.
   // Cela évite d'avoir "arriver Montparnasse" ET "arriver Saint-Lazare" pour le même train.
@@ -626,9 +1803,202 @@ function searchJourneys(originIds, destIds, startTime, stopToTripsData, limit, d
     }
   }
 
-  return [...dedupedByArrCity.values()]
-    .sort((a, b) => a.transfers - b.transfers || a.duration - b.duration || a.dep_time - b.dep_time)
-    .slice(0, limit);
+  const byDep = [...dedupedByArrCity.values()].sort((a, b) => a.dep_time - b.dep_time);
+  const page  = byDep.slice(0, limit);
+  const last  = page.length ? page[page.length - 1].dep_time : null;
+  for (let i = page.length; i < byDep.length && byDep[i].dep_time === last; i++) page.push(byDep[i]);
+
+  return page.sort((a, b) => a.transfers - b.transfers || a.duration - b.duration || a.dep_time - b.dep_time);
+}
+
+// Passage imposé par une gare (via) : profil origine → via, puis via → destination
+// à partir des arrivées au via, assemblés trajet par trajet. minStay : séjour
+// minimal au via (s) ; à 0, on peut aussi y rester dans le même train.
+const VIA_HORIZON = 12 * 3600;  // attente maximale au via
+
+function searchJourneysVia(originIds, viaIds, destIds, minStay, startTime, net, limit, dateISO, endTime = startTime + 14 * 3600) {
+  const firsts = rangeRaptor(originIds, viaIds, startTime, endTime, net, dateISO);
+  if (!firsts.length) return [];
+
+  const arrs    = firsts.map(j => j.arr_time);
+  const seconds = rangeRaptor(viaIds, destIds, Math.min(...arrs), Math.max(...arrs) + minStay + VIA_HORIZON,
+                              net, dateISO)
+    .sort((a, b) => a.arr_time - b.arr_time || a.transfers - b.transfers);
+
+  const results = [];
+  const seen    = new Set();
+  for (const j1 of firsts) {
+    const l1 = j1.legs[j1.legs.length - 1];
+    // Le premier trajet compatible dans l'ordre des arrivées est le meilleur
+    const j2 = seconds.find(j => {
+      const l2  = j.legs[0];
+      const gap = viaGap(l1, l2, minStay);
+      return gap != null && l2.dep_time >= l1.arr_time + gap;
+    });
+    if (!j2) continue;
+    const j = joinViaJourneys(j1, j2);
+    const key = journeyKey(j);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    results.push(j);
+  }
+
+  const front = results
+    .filter((j, _, all) => !all.some(o => o !== j &&
+      o.dep_time >= j.dep_time && o.arr_time <= j.arr_time && o.transfers <= j.transfers &&
+      (o.dep_time > j.dep_time || o.arr_time < j.arr_time || o.transfers < j.transfers)));
+  return paginateByDeparture(front, limit);
+}
+
+// Délai minimal entre l'arrivée au via (l1) et le départ suivant (l2) ; null si
+// la correspondance est impossible (quais non reliés, règle interdite).
+function viaGap(l1, l2, minStay) {
+  if (l1.trip_id === l2.trip_id && l1.service_date === l2.service_date) return minStay ? null : 0;
+  let change;
+  if (l1.to_id === l2.from_id) {
+    change = sameStopChange(l1.to_id, l1.trip_id, l1.route_id, l2.trip_id, l2.route_id);
+  } else {
+    const entry = transferEntries(l1.to_id).find(e => e.id === l2.from_id && !e.interCity);
+    change = entry ? transferTime(l1.to_id, entry) : null;
+  }
+  return change == null ? null : Math.max(change, minStay);
+}
+
+// Assemble les deux moitiés ; si l'on reste dans le même train au via, les deux
+// legs n'en font qu'un.
+function joinViaJourneys(j1, j2) {
+  const legs = [...j1.legs, ...j2.legs.slice(1)];
+  const l1 = j1.legs[j1.legs.length - 1], l2 = j2.legs[0];
+  if (l1.trip_id === l2.trip_id && l1.service_date === l2.service_date) {
+    legs[j1.legs.length - 1] = {
+      ...l1,
+      to_id: l2.to_id, to_name: l2.to_name,
+      arr_time: l2.arr_time, arr_str: l2.arr_str, arr_iso: l2.arr_iso,
+      duration: Math.round((l2.arr_time - l1.dep_time) / 60),
+    };
+  } else {
+    legs.splice(j1.legs.length, 0, l2);
+  }
+  return buildJourney(legs);
+}
+
+// Arrivée au plus tard : profil inversé sur [endTime - 14 h, endTime] en un
+// seul passage, puis pagination par heure d'arrivée (les `limit` arrivées les
+// plus tardives, plus les ex æquo) ; la page suivante commence juste avant.
+function searchJourneysArriveBy(originIds, destIds, endTime, net, limit, dateISO) {
+  const byArr = rangeRaptorReverse(originIds, destIds, endTime - 14 * 3600, endTime, net, dateISO)
+    .sort((a, b) => b.arr_time - a.arr_time);
+  const page = byArr.slice(0, limit);
+  const last = page.length ? page[page.length - 1].arr_time : null;
+  for (let i = page.length; i < byArr.length && byArr[i].arr_time === last; i++) page.push(byArr[i]);
+
+  return page.sort((a, b) => b.dep_time - a.dep_time || a.transfers - b.transfers || a.duration - b.duration);
+}
+
+// Front de Pareto (arrivée × correspondances [× temps de correspondance]) pour
+// un départ donné, avec les étiquettes « fastest », « fewest_transfers » et
+// « best_compromise » pour l'affichage côte à côte.
+function searchPareto(originIds, destIds, startTime, net, dateISO, useXfer = false) {
+  const found = mcRaptorCore(originIds, destIds, startTime, net, dateISO, useXfer);
+
+  // Plusieurs arrêts de destination : on refiltre les labels dominés entre eux
+  const front = [];
+  const seen  = new Set();
+  for (const f of found) {
+    if (found.some(o => o !== f && labelDominates(o.label, f.label, useXfer) &&
+                        !labelDominates(f.label, o.label, useXfer))) continue;
+    const key = journeyKey(f.journey);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    front.push(f.journey);
+  }
+  if (!front.length) return front;
+
+  front.sort((a, b) => a.arr_time - b.arr_time || a.transfers - b.transfers);
+
+  const pick = (cmp) => front.reduce((best, j) => cmp(j, best) < 0 ? j : best);
+  const tags = [
+    ['fastest',          pick((a, b) => a.arr_time - b.arr_time || a.transfers - b.transfers)],
+    ['fewest_transfers', pick((a, b) => a.transfers - b.transfers || a.arr_time - b.arr_time)],
+    ['best_compromise',  pick((a, b) =>
+      (a.arr_time + a.transfers * COMPROMISE_PENALTY) - (b.arr_time + b.transfers * COMPROMISE_PENALTY) ||
+      a.arr_time - b.arr_time)],
+  ];
+  for (const j of front) j.pareto_tags = tags.filter(([, t]) => t === j).map(([name]) => name);
+  return front;
+}
+
+// Recherche sur une plage de dates (calendrier) : profil complet de chaque jour
+// sur la fenêtre [winStart, winEnd] (heure locale de l'origine), puis résumé par
+// jour et sur la plage. Les jours qui partagent le même réseau (cf.
+// getFilteredData) réutilisent aussi la même vue contrainte.
+function searchFlexibleDates(dates, { fromIds, toIds, viaIds = null, minStay = 0, winStart, winEnd,
+                                      constraints = {}, limit, profil }) {
+  const constrained = new Map();   // réseau du jour → vue contrainte
+  const originRef   = fromIds.find(id => stops[id]) || fromIds[0];
+
+  const priceOf = (j) => {
+    const t = getTarifJourney(j, profil);
+    return t.allFound && !t.hasTer && t.totalMin > 0 ? { min: t.totalMin, max: t.totalMax } : null;
+  };
+  const brief = (j, date) => j && {
+    ...(date && { date }),
+    dep_str: j.dep_str, arr_str: j.arr_str, dep_iso: j.dep_iso, arr_iso: j.arr_iso,
+    duration: j.duration, transfers: j.transfers,
+    ...(j.price && { price: j.price }),
+  };
+  const pick = (list, cmp) => list.length ? list.reduce((best, j) => cmp(j, best) < 0 ? j : best) : null;
+  const byArr  = (a, b) => Date.parse(a.arr_iso) - Date.parse(b.arr_iso) || a.transfers - b.transfers;
+  const byDur  = (a, b) => a.duration - b.duration || a.transfers - b.transfers;
+  const byXfer = (a, b) => a.transfers - b.transfers || a.duration - b.duration;
+  const byCost = (a, b) => a.price.min - b.price.min || a.duration - b.duration;
+
+  const days = [], all = [];
+  for (const date of dates) {
+    if (!calendarIndex[date]) { days.push({ date, journeys: [], summary: null }); continue; }
+
+    const base = getFilteredData(date).net;
+    if (!constrained.has(base)) constrained.set(base, constrainNetwork(base, constraints));
+    const net   = constrained.get(base);
+    const shift = localToEngine(originRef, 0, date);
+
+    const profile = (viaIds
+      ? searchJourneysVia(fromIds, viaIds, toIds, minStay, winStart + shift, net, MAX_PROFILE_RESULTS, date, winEnd + shift)
+      : searchJourneys(fromIds, toIds, winStart + shift, net, MAX_PROFILE_RESULTS, date, winEnd + shift));
+    for (const j of profile) j.price = priceOf(j);
+
+    const priced  = profile.filter(j => j.price);
+    const summary = {
+      earliest:         pick(profile, byArr),
+      fastest:          pick(profile, byDur),
+      fewest_transfers: pick(profile, byXfer),
+      cheapest:         pick(priced, byCost),
+    };
+    const best = new Set([...profile].sort(byDur).slice(0, limit));
+    for (const j of Object.values(summary)) if (j) best.add(j);
+
+    days.push({
+      date,
+      journeys: [...best].sort((a, b) => a.dep_time - b.dep_time),
+      summary:  profile.length ? Object.fromEntries(Object.entries(summary).map(([k, j]) => [k, brief(j)])) : null,
+    });
+    for (const j of profile) all.push({ j, date });
+  }
+
+  const pickDay = (cmp, filter = () => true) => {
+    const c = all.filter(x => filter(x.j));
+    const best = c.length ? c.reduce((b, x) => cmp(x.j, b.j) < 0 ? x : b) : null;
+    return best ? brief(best.j, best.date) : null;
+  };
+  return {
+    days,
+    summary: {
+      fastest:          pickDay(byDur),
+      fewest_transfers: pickDay(byXfer),
+      cheapest:         pickDay(byCost, j => j.price),
+    },
+    networks: constrained.size,
+  };
 }
 
 // ─── Reconstruction du journey ────────────────────────────────────────────────
@@ -652,46 +2022,140 @@ function reconstructJourney(parent, originSet, destId, dateISO) {
       continue;
     }
 
-    const op      = p.operator || extractOperator(p.from_stop);
-    const isTI    = op === 'TI';
-    const route   = routesInfo[p.route_id] || {};
-
-    const depTime = p.dep_time;
-    const arrTime = p.arr_time;
-
-    const trainType = detectTrainType(p.from_stop, p.trip_id, p.train_type, op, p.route_id);
-
-    const routeName = isTI
-      ? tiRouteName(trainType)
-      : (route.short || route.long || p.route_id);
-
-    legs.unshift({
-      from_id:    p.from_stop,
-      to_id:      current,
-      from_name:  resolveStopName(p.from_stop),
-      to_name:    resolveStopName(current),
-      dep_time:   depTime,
-      arr_time:   arrTime,
-      dep_str:    secondsToHHMM(depTime),
-      arr_str:    secondsToHHMM(arrTime),
-      trip_id:    p.trip_id,
-      route_id:   p.route_id,
-      route_name: routeName,
-      operator:   op,
-      train_type: trainType,
-      duration:   Math.round((arrTime - depTime) / 60),
-    });
+    legs.unshift(buildLeg(p, current, dateISO));
+    current = p.from_stop;
+  }
+
+  return buildJourney(legs);
+}
+
+// Labels par round : un leg train au round k remonte au label du round k-1
+// de son arrêt de montée ; un transfert reste dans le même round.
+function reconstructJourneyRounds(parentK, originSet, destId, round, dateISO) {
+  const legs    = [];
+  let   current = destId;
+  let   k       = round;
+  const visited = new Set();
+
+  while (!(k === 0 && originSet.has(current))) {
+    const vk = k + ':' + current;
+    if (visited.has(vk)) return null;
+    visited.add(vk);
+
+    const p = parentK[k][current];
+    if (!p) return null;
+
+    if (!p.is_transfer) {
+      legs.unshift(buildLeg(p, current, dateISO));
+      k--;
+    }
     current = p.from_stop;
   }
 
+  return buildJourney(legs);
+}
+
+// Symétrique de reconstructJourneyRounds : un leg train au round k mène au
+// label du round k-1 de son arrêt de descente.
+function reconstructJourneyRoundsReverse(childK, destSet, originId, round, dateISO) {
+  const legs    = [];
+  let   current = originId;
+  let   k       = round;
+  const visited = new Set();
+
+  while (!(k === 0 && destSet.has(current))) {
+    const vk = k + ':' + current;
+    if (visited.has(vk)) return null;
+    visited.add(vk);
+
+    const c = childK[k][current];
+    if (!c) return null;
+
+    if (!c.is_transfer) {
+      legs.push(buildLeg(c, c.to_stop, dateISO));
+      k--;
+    }
+    current = c.to_stop;
+  }
+
+  return buildJourney(legs);
+}
+
+// p : { from_stop, trip_id, route_id, dep_time, arr_time, train_type, operator }
+function buildLeg(p, toStop, dateISO) {
+  const through = throughSegments(p, toStop);
+  const op      = p.operator || extractOperator(p.from_stop);
+
+  const depTime = p.dep_time;
+  const arrTime = p.arr_time;
+  const depLocal = engineToLocal(p.from_stop, depTime, dateISO);
+  const arrLocal = engineToLocal(toStop, arrTime, dateISO);
+  const depIso   = toISODateTime(dateISO, depLocal, stopTz(p.from_stop));
+  const arrIso   = toISODateTime(dateISO, arrLocal, stopTz(toStop));
+
+  const trainType = trainTypes.info(legTrainType(p, op));
+  const routeName = routeDisplayName(p.route_id, op, trainType);
+
+  return {
+    from_id:    p.from_stop,
+    to_id:      toStop,
+    from_name:  resolveStopName(p.from_stop),
+    to_name:    resolveStopName(toStop),
+    dep_time:   depTime,
+    arr_time:   arrTime,
+    dep_str:    secondsToHHMM(depLocal),
+    arr_str:    secondsToHHMM(arrLocal),
+    dep_iso:    depIso,
+    arr_iso:    arrIso,
+    trip_id:    through ? through[0].trip_id : p.trip_id,
+    ...(through && through.length > 1 && {
+      through_trip_id: p.trip_id,
+      train_changes: through.slice(1).map(seg => ({
+        at_id:   seg.at,
+        at_name: resolveStopName(seg.at),
+        trip_id: seg.trip_id,
+      })),
+    }),
+    service_date: dateISO ? addDaysISO(dateISO, p.day_offset || 0) : null,
+    route_id:   gtfsRouteId(p.route_id),
+    pattern_id: p.route_id,
+    route_name: routeName,
+    operator:   op,
+    train_type:      trainType.id,
+    train_type_name: trainType.name,
+    train_category:  trainType.category,
+    duration:   Math.round((arrTime - depTime) / 60),
+    realtime:   legRealtime(p, toStop, op, depLocal, arrLocal),
+    alerts:     legAlerts(p, toStop, op, depIso, arrIso),
+  };
+}
+
+// Trip direct (block_id) : segments parcourus par le leg, de from_stop à toStop,
+// chacun avec le trip d'origine et l'arrêt où il commence. null hors trip direct.
+// À l'arrêt de jonction, on monte dans le segment suivant et on descend du précédent.
+function throughSegments(p, toStop) {
+  const segments = throughTrips[p.trip_id];
+  const stopIds  = segments && routesInfo[p.route_id]?.stops;
+  if (!stopIds) return null;
+  const from = stopIds.indexOf(p.from_stop);
+  const to   = stopIds.indexOf(toStop, from + 1);
+  if (from < 0 || to < 0) return null;
+  return segments
+    .filter((seg, i) => seg.first < to && (i === segments.length - 1 || segments[i + 1].first > from))
+    .map(seg => ({ trip_id: seg.trip_id, at: stopIds[Math.max(seg.first, from)] }));
+}
+
+function buildJourney(legs) {
   if (!legs.length) return null;
   const dep = legs[0].dep_time;
   const arr = legs[legs.length - 1].arr_time;
   return {
     dep_time:    dep,
     arr_time:    arr,
-    dep_str:     secondsToHHMM(dep),
-    arr_str:     secondsToHHMM(arr),
+    dep_str:     legs[0].dep_str,
+    arr_str:     legs[legs.length - 1].arr_str,
+    dep_iso:     legs[0].dep_iso,
+    arr_iso:     legs[legs.length - 1].arr_iso,
     duration:    Math.round((arr - dep) / 60),
     transfers:   legs.length - 1,
     train_types: [...new Set(legs.map(l => l.train_type).filter(Boolean))],
@@ -699,6 +2163,311 @@ function reconstructJourney(parent, originSet, destId, dateISO) {
   };
 }
 
+// ─── Tableaux de gare ─────────────────────────────────────────────────────────
+// Départs ou arrivées de tous les quais et opérateurs d'une gare, sur le réseau
+// du jour (retards, suppressions et alertes NO_SERVICE compris). Un trip direct
+// (block_id) remplace ses segments : on affiche la destination finale.
+
+const BOARD_VIA_STOPS = 3;     // arrêts intermédiaires affichés
+const BOARD_MAX_LIMIT = 100;
+
+// Arrêts d'une gare : l'entrée de stations.json qui contient l'un des ids,
+// sinon les quais reliés à pied ; un StopArea désigne ses StopPoints
+function boardStation(ids) {
+  const points = new Set(ids.filter(id => stops[id]));
+  for (const id of ids) {
+    if (stops[id]) continue;
+    const uic = id.match(/StopArea:OCE(\d{8})$/)?.[1];
+    for (const [sid, st] of Object.entries(stops)) {
+      if (st.parent_station === id || (uic && sid.endsWith('-' + uic))) points.add(sid);
+    }
+  }
+  const entry   = stopsIndex.find(st => st.stopIds.some(sid => points.has(sid)));
+  const stopIds = (entry ? entry.stopIds : stationStopIds([...points])).filter(sid => stops[sid]);
+  return { name: entry?.name || (stopIds.length ? resolveStopName(stopIds[0]) : null), stopIds };
+}
+
+// Arrêts les plus desservis (nombre de routes) parmi ceux d'un trip, dans l'ordre du trajet
+function keyStops(trip, from, to) {
+  const cand = [];
+  for (let j = from; j < to; j++) {
+    if (trip.rt && (trip.rt.skip[j] & (RT_NO_ARR | RT_NO_DEP)) === (RT_NO_ARR | RT_NO_DEP)) continue;
+    const sid = stopAt(trip, j);
+    cand.push({ j, sid, weight: (routesByStop[sid] || []).length });
+  }
+  const names = new Set();
+  return cand.sort((a, b) => b.weight - a.weight || a.j - b.j)
+    .filter(c => !names.has(resolveStopName(c.sid)) && names.add(resolveStopName(c.sid)))
+    .slice(0, BOARD_VIA_STOPS)
+    .sort((a, b) => a.j - b.j)
+    .map(c => ({ id: c.sid, name: resolveStopName(c.sid) }));
+}
+
+// Terminus effectif (départs) ou origine effective (arrivées) : les arrêts
+// supprimés en fin (début) de trip ne comptent pas
+function boardEnd(trip, j, arrivals) {
+  const served = k => !trip.rt || !(trip.rt.skip[k] & (arrivals ? RT_NO_DEP : RT_NO_ARR));
+  if (arrivals) { for (let k = 0; k < j; k++) if (served(k)) return k; }
+  else          { for (let k = trip.n - 1; k > j; k--) if (served(k)) return k; }
+  return arrivals ? 0 : trip.n - 1;
+}
+
+// Segment d'un trip direct qui porte le départ (ou l'arrivée) à l'indice j
+function segmentAt(segments, j, arrival) {
+  let seg = segments[0];
+  for (const s of segments) if (arrival ? s.first < j : s.first <= j) seg = s;
+  return seg;
+}
+
+function chainLength(trip) {
+  return throughTrips[trip.trip_id]?.length || 1;
+}
+
+function boardRealtime(trip, j, arrival, op) {
+  const feed = realtime.feeds[op + ':trip_updates'];
+  const skip = trip.rt ? trip.rt.skip[j] & (arrival ? RT_NO_ARR : RT_NO_DEP) : 0;
+  if (skip) return { status: 'skipped' };
+  if (!feed?.fetched_at) return null;
+  if (!trip.rt?.updated) return { status: 'scheduled', updated_at: feed.fetched_at };
+  const delay = arrival ? trip.rt.arr[j] : trip.rt.dep[j];
+  return {
+    status:     delay >= 60 ? 'delayed' : 'on_time',
+    delay:      Math.round(delay / 60),
+    updated_at: trip.rt.timestamp ? new Date(trip.rt.timestamp * 1000).toISOString() : feed.fetched_at,
+  };
+}
+
+// Passages à la gare à partir de fromSec (heure locale), triés par heure prévue
+function stationBoard(stopIds, dateISO, fromSec, toSec, arrivals) {
+  const { net } = getFilteredData(dateISO);
+  const rows    = new Map();      // segment|jour|arrêt → passage, via le plus long trip direct
+
+  for (const sid of stopIds) {
+    for (const pat of patternsAt(net, sid)) {
+      for (const j of pat.pos[sid]) {
+        if (arrivals ? j === 0 : j === pat.stops.length - 1) continue;
+        for (const trip of pat.trips) {
+          const raw = arrivals ? rawArr(trip, j) ?? rawDep(trip, j) : rawDep(trip, j) ?? rawArr(trip, j);
+          if (raw == null) continue;
+          const local = engineToLocal(sid, stTime(trip, raw), dateISO);
+          const rt    = arrivals ? stArr(trip, j) : stDep(trip, j);
+          const last  = rt == null ? local : engineToLocal(sid, rt, dateISO);
+          if (Math.max(local, last) < fromSec || (toSec != null && local >= toSec)) continue;
+
+          // Un segment de bloc apparaît seul et dans chaque trip direct qui le
+          // contient : une seule ligne, celle du trip direct le plus long
+          const segments = throughTrips[trip.trip_id];
+          const seg      = segments ? segmentAt(segments, j, arrivals) : null;
+          const tripId   = seg ? seg.trip_id : trip.trip_id;
+          const key      = tripId + '|' + trip.day_offset + '|' + sid + '|' + (j - (seg ? seg.first : 0));
+          const prev     = rows.get(key);
+          if (prev && chainLength(prev.trip) >= chainLength(trip)) continue;
+          rows.set(key, { sid, trip, j, routeId: pat.routeId, local, tripId });
+        }
+      }
+    }
+  }
+
+  return [...rows.values()]
+    .sort((a, b) => a.local - b.local || a.tripId.localeCompare(b.tripId));
+}
+
+function boardRow({ sid, trip, j, routeId, local, tripId }, dateISO, arrivals) {
+  const op        = tripOperator(trip);
+  const trainType = trainTypes.info(legTrainType({ trip_id: trip.trip_id, train_type: trip.train_type, route_id: routeId, from_stop: sid }, op));
+  const end       = boardEnd(trip, j, arrivals);
+  const iso       = toISODateTime(dateISO, local, stopTz(sid));
+  const rt        = boardRealtime(trip, j, arrivals, op);
+  return {
+    time:            secondsToHHMM(local),
+    iso,
+    ...(rt?.delay && { expected_time: secondsToHHMM(local + rt.delay * 60) }),
+    realtime:        rt,
+    stop_id:         sid,
+    [arrivals ? 'origin' : 'destination']: { id: stopAt(trip, end), name: resolveStopName(stopAt(trip, end)) },
+    via:             arrivals ? keyStops(trip, end + 1, j) : keyStops(trip, j + 1, end),
+    trip_id:         tripId,
+    train_number:    trainTypes.trainNumber(op, tripId.startsWith(op + ':') ? tripId.slice(op.length + 1) : tripId),
+    service_date:    addDaysISO(dateISO, trip.day_offset || 0),
+    route_id:        gtfsRouteId(routeId),
+    route_name:      routeDisplayName(routeId, op, trainType),
+    operator:        op,
+    train_type:      trainType.id,
+    train_type_name: trainType.name,
+    train_category:  trainType.category,
+    alerts:          legAlerts({ trip_id: trip.trip_id, route_id: routeId, from_stop: sid }, sid, op, iso, iso),
+  };
+}
+
+// ─── Détail d'un trip ─────────────────────────────────────────────────────────
+// Desserte complète d'un trip (leg cliqué). Avec une date, c'est la circulation
+// de ce jour de service : temps réel et alertes compris, ou supprimée.
+
+// Trip direct (block_id) dont tripId est un segment → { through, index, segments }
+function throughOf(tripId) {
+  const block = throughBySegment.get(tripId)?.[0];
+  return block ? { ...block, segments: throughTrips[block.through] } : null;
+}
+
+// Trip direct contenant le segment tripId, circulant le jour dateISO, qui
+// dessert from puis to : le leg d'un trajet peut couvrir plusieurs segments
+function throughCovering(tripId, fromId, toId, dateISO) {
+  for (const { through } of (throughBySegment.get(tripId) || [])) {
+    const routeId = tripRoutes.get(through);
+    const base    = routeId && routeTrips[routeId].find(t => t.trip_id === through);
+    if (!base || (dateISO && datedTrip(base, routeId, dateISO) === undefined)) continue;
+    if (legBounds(base, fromId, toId)) return through;
+  }
+  return null;
+}
+
+// Circulation du jour de service dateISO : la vue du réseau du jour (null si
+// supprimée), ou undefined si le trip ne circule pas ce jour-là
+function datedTrip(trip, routeId, dateISO) {
+  const active = getActiveServices(dateISO);
+  if (!active?.has(trip.service_id)) return undefined;
+  const { net } = getFilteredData(dateISO);
+  for (const pat of (net.routePatterns[routeId] || [])) {
+    const view = pat.trips.find(t => t.trip_id === trip.trip_id && !t.day_offset);
+    if (view) return view;
+  }
+  return null;
+}
+
+// Arrêt j du trip, en heure locale ; highlight : indices de montée et descente
+function tripStopOut(trip, j, dateISO, highlight) {
+  const sid  = stopAt(trip, j);
+  const tz   = stopTz(sid);
+  const rawA = rawArr(trip, j), rawD = rawDep(trip, j);
+  const loc  = raw => raw == null ? null : engineToLocal(sid, stTime(trip, raw), dateISO);
+  const arr  = j === 0 ? null : loc(rawA ?? rawD);
+  const dep  = j === trip.n - 1 ? null : loc(rawD ?? rawA);
+  const rt   = trip.rt;
+  return {
+    stop_id:  sid,
+    name:     resolveStopName(sid),
+    arr_str:  arr == null ? null : secondsToHHMM(arr),
+    dep_str:  dep == null ? null : secondsToHHMM(dep),
+    arr_iso:  toISODateTime(dateISO, arr, tz),
+    dep_iso:  toISODateTime(dateISO, dep, tz),
+    dwell:    arr != null && dep != null ? Math.round((dep - arr) / 60) : null,
+    ...(rt && {
+      realtime: {
+        arr_delay: arr == null ? null : Math.round(rt.arr[j] / 60),
+        dep_delay: dep == null ? null : Math.round(rt.dep[j] / 60),
+        skipped:   (rt.skip[j] & (RT_NO_ARR | RT_NO_DEP)) === (RT_NO_ARR | RT_NO_DEP),
+      },
+    }),
+    ...(highlight && {
+      boarding:  j === highlight.from,
+      alighting: j === highlight.to,
+      in_leg:    j >= highlight.from && j <= highlight.to,
+    }),
+  };
+}
+
+// Indices de montée / descente : l'arrêt donné ou un quai de la même gare
+function legBounds(trip, fromId, toId) {
+  if (!fromId && !toId) return null;
+  const sids  = tripStops(trip);
+  const at    = (id, start) => {
+    const station = new Set(boardStation([id]).stopIds);
+    return sids.findIndex((sid, j) => j >= start && station.has(sid));
+  };
+  const from = fromId ? at(fromId, 0) : 0;
+  const to   = toId ? at(toId, from + 1) : trip.n - 1;
+  return from < 0 || to <= from ? null : { from, to };
+}
+
+// ─── Isochrones (/api/explore?mode=isochrone) ─────────────────────────────────
+// Destinations de /api/explore en GeoJSON, par tranche de durée (« atteignable
+// en moins de 1h, 2h… ») : un point par gare, et avec shape=hull l'enveloppe
+// convexe de chaque tranche (origine comprise). L'enveloppe couvre aussi des
+// zones sans desserte : c'est une silhouette pour la carte, pas une zone
+// réellement atteignable.
+
+const ISOCHRONE_STEP = 60;            // tranches par défaut (min)
+const ISOCHRONE_MAX  = 12 * 60;       // sans max_duration
+
+// bands=60,120,180 ; par défaut toutes les heures jusqu'à max_duration
+function isochroneBands(param, maxDur) {
+  if (!param) {
+    const bands = [];
+    for (let b = ISOCHRONE_STEP; b < (maxDur ?? ISOCHRONE_MAX); b += ISOCHRONE_STEP) bands.push(b);
+    return [...bands, maxDur ?? ISOCHRONE_MAX];
+  }
+  const bands = param.split(',').map(Number);
+  const ok    = bands.every((b, i) => Number.isInteger(b) && b > 0 && (i === 0 || b > bands[i - 1]));
+  return ok ? bands.filter(b => maxDur == null || b <= maxDur) : null;
+}
+
+// Enveloppe convexe (chaîne monotone d'Andrew) de points [lon, lat], anneau fermé
+function convexHull(points) {
+  const pts = [...new Map(points.map(p => [p.join(','), p])).values()].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  if (pts.length < 3) return null;
+  const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+  const half  = list => {
+    const out = [];
+    for (const p of list) {
+      while (out.length >= 2 && cross(out[out.length - 2], out[out.length - 1], p) <= 0) out.pop();
+      out.push(p);
+    }
+    out.pop();
+    return out;
+  };
+  const ring = [...half(pts), ...half([...pts].reverse())];
+  return ring.length < 3 ? null : [...ring, ring[0]];
+}
+
+// journeys : destinations de /api/explore (dest_lat / dest_lon) ; une gare
+// desservie par plusieurs quais garde son trajet le plus court
+function isochroneGeoJSON(journeys, bands, origin, hull) {
+  const byPlace = new Map();
+  for (const j of journeys) {
+    if (j.dest_lat == null) continue;
+    const band = bands.find(b => j.duration <= b);
+    if (band == null) continue;
+    const key  = j.dest_lat + ',' + j.dest_lon;
+    if (!byPlace.has(key) || j.duration < byPlace.get(key).j.duration) byPlace.set(key, { j, band });
+  }
+
+  const points = [...byPlace.values()].sort((a, b) => a.j.duration - b.j.duration).map(({ j, band }) => {
+    const last = j.legs[j.legs.length - 1];
+    return {
+      type:       'Feature',
+      geometry:   { type: 'Point', coordinates: [j.dest_lon, j.dest_lat] },
+      properties: {
+        kind:        'stop',
+        stop_id:     last.to_id,
+        name:        last.to_name,
+        band,
+        duration:    j.duration,
+        transfers:   j.transfers,
+        dep_iso:     j.dep_iso,
+        arr_iso:     j.arr_iso,
+        train_types: j.train_types,
+      },
+    };
+  });
+
+  const polygons = !hull ? [] : bands.flatMap(band => {
+    const coords = points.filter(f => f.properties.band <= band).map(f => f.geometry.coordinates);
+    const ring   = convexHull(origin ? [[origin.lon, origin.lat], ...coords] : coords);
+    return ring ? [{
+      type:       'Feature',
+      geometry:   { type: 'Polygon', coordinates: [ring] },
+      properties: { kind: 'band', band, stops: coords.length },
+    }] : [];
+  });
+
+  return {
+    type:     'FeatureCollection',
+    bands,
+    origin:   origin && { name: origin.name, lat: origin.lat, lon: origin.lon },
+    features: [...polygons.reverse(), ...points],
+  };
+}
+
 // ─── Tarifs ───────────────────────────────────────────────────────────────────
 
 function normTransporteur(t) {
@@ -766,14 +2535,164 @@ function getBody(req) {
 
 const PROFILS = ['Tarif Normal','Tarif Avantage','Tarif Elève - Etudiant - Apprenti','Tarif Réglementé'];
 
+// Une erreur dans un handler répond 500 (400 pour un paramètre invalide, cf.
+// badRequest) sans arrêter le processus
 const server = http.createServer(async (req, res) => {
+  try {
+    await handleRequest(req, res);
+  } catch (err) {
+    console.error('  ⚠  ' + req.url + ' : ' + (err.status ? err.message : err.stack));
+    if (res.headersSent) { res.end(); return; }
+    jsonResp(res, { error: err.status ? err.message : 'erreur interne' }, err.status || 500);
+  }
+});
+
+async function handleRequest(req, res) {
   const parsed = url.parse(req.url, true);
   const p = parsed.pathname, q = parsed.query;
 
   if (req.method === 'OPTIONS') { cors(res); res.writeHead(204); res.end(); return; }
 
   if (p === '/api/meta') {
-    return jsonResp(res, { ...meta, operators: meta.operators || ['SNCF','TI'] });
+    return jsonResp(res, { ...meta, operators: meta.operators || ['SNCF','TI'], realtime: realtimeStatus() });
+  }
+
+  // Opérateurs dans l'ordre d'operators.json ; sans operators_info.json (anciens
+  // engine_data), seulement l'identifiant
+  if (p === '/api/operators') {
+    const ids = meta.operators || Object.keys(operatorsInfo);
+    return jsonResp(res, {
+      generated_at: meta.generated_at || null,
+      operators:    ids.map(id => operatorsInfo[id] || { id, name: id, agencies: [], feed: null }),
+    });
+  }
+
+  // Alertes en cours, filtrées par arrêt (ou gare parente), route GTFS,
+  // opérateur et jour d'activité ; une alerte d'opérateur vaut pour ses
+  // arrêts et ses routes
+  if (p === '/api/alerts') {
+    if (q.date && !isDateISO(q.date)) return jsonResp(res, { error: 'date : YYYY-MM-DD' }, 400);
+    const stopIds = (q.stop || '').split(',').filter(Boolean);
+    const routeId = q.route ? gtfsRouteId(q.route) : null;
+    const types   = routeId ? new Set(Object.values(routesInfo).filter(r => r.route_id === routeId).map(r => r.type)) : null;
+    const [from, to] = q.date ? dayRange(q.date) : [-Infinity, Infinity];
+    const opWide  = e => !e.route_id && e.route_type == null && !e.trip_id && !e.stop_id;
+
+    const alerts = realtime.alerts.filter(a => {
+      if (q.operator && a.operator !== q.operator) return false;
+      if (!alertActive(a, from, to)) return false;
+      if (stopIds.length && !a.informed_entities.some(e =>
+        opWide(e) ? stopIds.some(sid => extractOperator(sid) === a.operator)
+                  : e.stop_id && stopIds.some(sid => stopMatches(e, sid) || stops[e.stop_id]?.parent_station === sid))) return false;
+      if (routeId && !a.informed_entities.some(e =>
+        opWide(e) ? extractOperator(routeId) === a.operator
+                  : e.route_id === routeId || (e.route_type != null && types.has(e.route_type)))) return false;
+      return true;
+    });
+    return jsonResp(res, { alerts: alerts.map(a => alertOut(a, q.lang || 'fr')) });
+  }
+
+  // Tableau de gare : station = un ou plusieurs stop_id (ou StopArea) de la gare ;
+  // from_time / to_time en heure locale (défaut : maintenant si date omise ou
+  // aujourd'hui, sinon 00:00), pagination par page / limit
+  if (p === '/api/board') {
+    const ids  = (q.station || '').split(',').map(x => x.trim()).filter(Boolean);
+    const type = q.type || 'departures';
+    if (!ids.length) return jsonResp(res, { error: 'station requis' }, 400);
+    if (type !== 'departures' && type !== 'arrivals') return jsonResp(res, { error: 'type : departures ou arrivals' }, 400);
+    if ((q.from_time && !isHHMM(q.from_time)) || (q.to_time && !isHHMM(q.to_time))) {
+      return jsonResp(res, { error: 'from_time / to_time : HH:MM' }, 400);
+    }
+    if (q.date && !isDateISO(q.date)) return jsonResp(res, { error: 'date : YYYY-MM-DD' }, 400);
+
+    const station = boardStation(ids);
+    if (!station.stopIds.length) return jsonResp(res, { error: 'gare inconnue : ' + ids.join(',') }, 404);
+
+    const t0      = Date.now();
+    const dateISO = q.date || todayISO();
+    const tz      = stopTz(station.stopIds[0]);
+    const now     = Math.floor((Date.now() - serviceDayBase(dateISO, tz)) / 1000);
+    const fromSec = q.from_time ? timeToSeconds(q.from_time) : (dateISO === todayISO() ? now : 0);
+    const toSec   = q.to_time ? timeToSeconds(q.to_time) : null;
+    const limit   = Math.max(1, Math.min(parseInt(q.limit || '20') || 20, BOARD_MAX_LIMIT));
+    const page    = Math.max(1, parseInt(q.page || '1') || 1);
+
+    const arrivals = type === 'arrivals';
+    const all      = stationBoard(station.stopIds, dateISO, fromSec, toSec, arrivals);
+    const rows     = all.slice((page - 1) * limit, page * limit).map(r => boardRow(r, dateISO, arrivals));
+    console.log('\n[BOARD]', dateISO, secondsToHHMM(fromSec), type, '|', station.name, '→', all.length, 'passages |', Date.now() - t0, 'ms');
+    return jsonResp(res, {
+      station:   { name: station.name, stop_ids: station.stopIds },
+      date:      dateISO,
+      type,
+      from_time: secondsToHHMM(fromSec),
+      to_time:   toSec != null ? secondsToHHMM(toSec) : null,
+      alerts:    stopAlerts(station.stopIds, dateISO),
+      page,
+      pages:     Math.ceil(all.length / limit),
+      total:     all.length,
+      [type]:    rows,
+    });
+  }
+
+  // Détail d'un trip : /api/trip/<trip_id>?date=&from=&to= (from / to : arrêts
+  // du leg, mis en évidence)
+  if (p.startsWith('/api/trip/')) {
+    let   tripId  = decodeURIComponent(p.slice('/api/trip/'.length));
+    let   routeId = tripRoutes.get(tripId);
+    if (!routeId) return jsonResp(res, { error: 'trip inconnu : ' + tripId }, 404);
+    const dateISO = q.date || '';
+    if (dateISO && !isDateISO(dateISO)) return jsonResp(res, { error: 'date : YYYY-MM-DD' }, 400);
+
+    // Segment d'un bloc dont le leg continue au-delà : desserte du trip direct
+    if ((q.from || q.to) && !legBounds(routeTrips[routeId].find(t => t.trip_id === tripId), q.from, q.to)) {
+      const through = throughCovering(tripId, q.from, q.to, dateISO);
+      if (through) { tripId = through; routeId = tripRoutes.get(through); }
+    }
+
+    const base  = routeTrips[routeId].find(t => t.trip_id === tripId);
+    const dated = dateISO ? datedTrip(base, routeId, dateISO) : null;
+    if (dated === undefined) return jsonResp(res, { error: tripId + ' ne circule pas le ' + dateISO }, 404);
+    // Supprimé ce jour-là : horaires théoriques du jour
+    const trip  = dated || (dateISO ? { ...base, time_shift: timeShift(base.tz || REF_TZ, dateISO, dateISO) } : base);
+
+    const highlight = legBounds(trip, q.from, q.to);
+    if ((q.from || q.to) && !highlight) return jsonResp(res, { error: 'from / to non desservis par ' + tripId + ' (dans cet ordre)' }, 400);
+
+    const op        = tripOperator(trip);
+    const trainType = trainTypes.info(legTrainType({ trip_id: tripId, train_type: trip.train_type, route_id: routeId, from_stop: stopAt(trip, 0) }, op));
+    const calls     = [...Array(trip.n).keys()].map(j => tripStopOut(trip, j, dateISO, highlight));
+    const block     = throughOf(tripId);
+    const link      = (seg, at) => seg && { trip_id: seg.trip_id, at_id: at, at_name: resolveStopName(at) };
+    const feed      = realtime.feeds[op + ':trip_updates'];
+
+    return jsonResp(res, {
+      trip_id:         tripId,
+      headsign:        trip.headsign || null,
+      service_date:    dateISO || null,
+      operator:        op,
+      route_id:        gtfsRouteId(routeId),
+      pattern_id:      routeId,
+      route_name:      routeDisplayName(routeId, op, trainType),
+      train_number:    trainTypes.trainNumber(op, tripId.startsWith(op + ':') ? tripId.slice(op.length + 1) : tripId),
+      train_type:      trainType.id,
+      train_type_name: trainType.name,
+      train_category:  trainType.category,
+      origin:          calls[0] && { id: calls[0].stop_id, name: calls[0].name },
+      destination:     calls[calls.length - 1] && { id: calls[calls.length - 1].stop_id, name: calls[calls.length - 1].name },
+      canceled:        dateISO ? dated === null : null,
+      realtime:        dateISO && feed?.fetched_at ? {
+        updated:    !!trip.rt?.updated,
+        updated_at: trip.rt?.timestamp ? new Date(trip.rt.timestamp * 1000).toISOString() : feed.fetched_at,
+      } : null,
+      ...(block && {
+        continued_from: link(block.segments[block.index - 1], stopAt(trip, 0)),
+        continues_as:   link(block.segments[block.index + 1], stopAt(trip, trip.n - 1)),
+      }),
+      alerts:          legAlerts({ trip_id: tripId, route_id: routeId, from_stop: stopAt(trip, 0) }, stopAt(trip, trip.n - 1), op,
+                                 calls[0].dep_iso, calls[calls.length - 1].arr_iso),
+      stops:           calls,
+    });
   }
 
   if (p === '/api/stops') {
@@ -795,33 +2714,148 @@ const server = http.createServer(async (req, res) => {
 
     const timeStr = q.time || '08:00';
     const dateStr = q.date || '';
+    if (!isHHMM(timeStr)) return jsonResp(res, {error:'time : HH:MM'}, 400);
+    if (dateStr && !isDateISO(dateStr)) return jsonResp(res, {error:'date : YYYY-MM-DD'}, 400);
+    // offset (s) : négatif en arrive_by, où la pagination remonte le temps
+    const isInt = v => !v || /^-?\d+$/.test(v);
+    if (!isInt(q.offset) || (q.mode !== 'arrive_by' && parseInt(q.offset) < 0)) {
+      return jsonResp(res, {error:'offset : secondes, entier' + (q.mode === 'arrive_by' ? '' : ' positif')}, 400);
+    }
+    if (!isInt(q.after_dep) || parseInt(q.after_dep) < 0) return jsonResp(res, {error:'after_dep : secondes, entier positif'}, 400);
+    if (!isInt(q.limit) || parseInt(q.limit) < 1) return jsonResp(res, {error:'limit : entier, 1 au moins'}, 400);
     const profil  = PROFILS.includes(q.carte) ? q.carte : 'Tarif Normal';
     const offset  = parseInt(q.offset||'0');
     const afterDep= parseInt(q.after_dep||'0');
     const limit   = Math.min(parseInt(q.limit||'8'), 32);
-    const startSec = Math.max(timeToSeconds(timeStr) + offset, afterDep || 0);
 
-    const allowedTypes = q.train_types
-      ? new Set(q.train_types.split(',').map(s => s.trim()).filter(Boolean))
-      : null;
+    const allowedTypes = parseTrainTypes(q.train_types);
+
+    // Contraintes : via (+ séjour minimal en minutes), arrêts évités, opérateurs
+    const listParam  = v => (v || '').split(',').map(x => x.trim()).filter(Boolean);
+    const viaIds     = listParam(q.via);
+    const avoidIds   = listParam(q.avoid_stops);
+    const excludeOps = new Set(listParam(q.exclude_operators).map(o => o.toUpperCase()));
+    const onlyOps    = new Set(listParam(q.only_operators).map(o => o.toUpperCase()));
+    const minStay    = Math.max(0, parseInt(q.via_min_stay || '0') || 0) * 60;
 
-    const { stopToTrips: stt } = getFilteredData(dateStr);
+    if (avoidIds.some(id => fromIds.includes(id) || toIds.includes(id) || viaIds.includes(id))) {
+      return jsonResp(res, {error:'avoid_stops ne peut pas contenir from, to ou via'}, 400);
+    }
+    if (viaIds.length && (q.mode === 'pareto' || q.mode === 'arrive_by')) {
+      return jsonResp(res, {error:'via non disponible en mode ' + q.mode}, 400);
+    }
+
+    const operatorOk = (excludeOps.size || onlyOps.size)
+      ? op => !excludeOps.has(op) && (!onlyOps.size || onlyOps.has(op))
+      : null;
+    const constraints = { avoid: avoidIds.length ? new Set(stationStopIds(avoidIds)) : null, operatorOk, allowedTypes };
     const uniqueFrom = resolveStopIds([...new Set(fromIds)], 'origin');
     const uniqueTo   = resolveStopIds([...new Set(toIds)], 'dest');
+    const uniqueVia  = viaIds.length ? stationStopIds(viaIds) : null;
+
+    // date_from / date_to : meilleurs trajets de chaque jour + résumé (calendrier)
+    if (q.date_from || q.date_to) {
+      if (!isDateISO(q.date_from) || !isDateISO(q.date_to) || q.date_to < q.date_from) {
+        return jsonResp(res, {error:'date_from et date_to requis (YYYY-MM-DD, date_from ≤ date_to)'}, 400);
+      }
+      if (q.mode === 'pareto' || q.mode === 'arrive_by') {
+        return jsonResp(res, {error:'date_from / date_to non disponible en mode ' + q.mode}, 400);
+      }
+      const dates = [];
+      for (let d = q.date_from; d <= q.date_to && dates.length < MAX_RANGE_DAYS; d = addDaysISO(d, 1)) dates.push(d);
+
+      const win = (q.window || '').match(/^(\d{1,2}:\d{2})-(\d{1,2}:\d{2})$/);
+      const range = searchFlexibleDates(dates, {
+        fromIds: uniqueFrom, toIds: uniqueTo, viaIds: uniqueVia, minStay,
+        winStart: timeToSeconds(win ? win[1] : (q.time || '00:00')),
+        winEnd:   timeToSeconds(win ? win[2] : '23:59'),
+        constraints, limit: Math.min(parseInt(q.limit || '3'), 32), profil,
+      });
+      console.log('\n[SEARCH]', dates[0], '→', dates[dates.length - 1], ':', dates.length, 'jours,',
+                  range.networks, 'réseau(x) distinct(s),', range.days.reduce((n, d) => n + d.journeys.length, 0), 'trajets');
+      return jsonResp(res, {
+        days:             range.days,
+        summary:          range.summary,
+        truncated:        dates[dates.length - 1] < q.date_to,
+        computed_ms:      Date.now()-t0,
+        profil_tarifaire: profil,
+      });
+    }
+
+    const net = constrainNetwork(getFilteredData(dateStr).net, constraints);
+
+    // time et window sont en heure locale de l'origine (arrive_by : de la destination) ;
+    // after_dep et last_dep_time sont en heure moteur.
+    const originShift = localToEngine(uniqueFrom.find(id => stops[id]) || uniqueFrom[0], 0, dateStr);
+    const destShift   = localToEngine(uniqueTo.find(id => stops[id])   || uniqueTo[0],   0, dateStr);
+    const startSec    = Math.max(timeToSeconds(timeStr) + offset + originShift, afterDep || 0);
 
     console.log('\n[SEARCH]', dateStr || 'sans date', timeStr);
     console.log('  from IDs reçus   :', fromIds);
     console.log('  from IDs résolus :', uniqueFrom);
     console.log('  to   IDs reçus   :', toIds);
     console.log('  to   IDs résolus :', uniqueTo);
-    console.log('  from dans stopToTrips :', uniqueFrom.filter(id => stt[id]).length, '/', uniqueFrom.length);
-    console.log('  to   dans stopToTrips :', uniqueTo.filter(id => stt[id]).length, '/', uniqueTo.length);
+    console.log('  from desservis    :', uniqueFrom.filter(id => patternsAt(net, id).length).length, '/', uniqueFrom.length);
+    console.log('  to   desservis    :', uniqueTo.filter(id => patternsAt(net, id).length).length, '/', uniqueTo.length);
+    if (uniqueVia)        console.log('  via              :', uniqueVia, minStay ? '(séjour ' + minStay / 60 + ' min)' : '');
+    if (avoidIds.length)  console.log('  arrêts évités    :', avoidIds);
+    if (operatorOk)       console.log('  opérateurs       :', onlyOps.size ? 'uniquement ' + [...onlyOps] : '', excludeOps.size ? 'sauf ' + [...excludeOps] : '');
+
+    if (q.mode === 'pareto') {
+      const useXfer  = (q.criteria || '').split(',').includes('transfer_time');
+      const journeys = searchPareto(uniqueFrom, uniqueTo, startSec, net, dateStr, useXfer);
+      console.log('  Front Pareto :', journeys.length, journeys.map(j => j.dep_str + '->' + j.arr_str + ' (' + j.transfers + ' corresp)'));
+      return jsonResp(res, {
+        journeys,
+        mode:             'pareto',
+        criteria:         useXfer ? ['arrival', 'transfers', 'transfer_time'] : ['arrival', 'transfers'],
+        computed_ms:      Date.now()-t0,
+        profil_tarifaire: profil,
+      });
+    }
 
-    const journeys = searchJourneys(uniqueFrom, uniqueTo, startSec, stt, limit, dateStr, allowedTypes);
+    if (q.mode === 'arrive_by') {
+      // time = heure d'arrivée au plus tard ; la page suivante remonte avant la plus tôt des arrivées
+      const endSec   = timeToSeconds(timeStr) + offset + destShift;
+      const journeys = searchJourneysArriveBy(uniqueFrom, uniqueTo, endSec, net, limit, dateStr);
+      console.log('  Résultats (arrivée avant ' + secondsToHHMM(endSec - destShift) + ') :', journeys.length, journeys.map(j => j.dep_str + '->' + j.arr_str + ' (' + j.transfers + ' corresp)'));
+
+      const firstArr = journeys.length ? Math.min(...journeys.map(j => j.arr_time)) : endSec;
+      return jsonResp(res, {
+        journeys,
+        mode:             'arrive_by',
+        computed_ms:      Date.now()-t0,
+        next_offset:      firstArr - 1 - destShift - timeToSeconds(timeStr),
+        first_arr_time:   firstArr,
+        profil_tarifaire: profil,
+      });
+    }
+
+    // window=06:00-22:00 : profil complet de la journée, trié par heure de départ
+    const win = (q.window || '').match(/^(\d{1,2}:\d{2})-(\d{1,2}:\d{2})$/);
+    if (win) {
+      const winStart = timeToSeconds(win[1]) + originShift, winEnd = timeToSeconds(win[2]) + originShift;
+      const journeys = (uniqueVia
+        ? searchJourneysVia(uniqueFrom, uniqueVia, uniqueTo, minStay, winStart, net, MAX_PROFILE_RESULTS, dateStr, winEnd)
+        : searchJourneys(uniqueFrom, uniqueTo, winStart, net, MAX_PROFILE_RESULTS, dateStr, winEnd))
+        .sort((a, b) => a.dep_time - b.dep_time);
+      console.log('  Profil ' + win[1] + '-' + win[2] + ' :', journeys.length, 'trajets');
+      return jsonResp(res, {
+        journeys,
+        window:           { from: win[1], to: win[2] },
+        computed_ms:      Date.now()-t0,
+        profil_tarifaire: profil,
+      });
+    }
+
+    const journeys = uniqueVia
+      ? searchJourneysVia(uniqueFrom, uniqueVia, uniqueTo, minStay, startSec, net, limit, dateStr)
+      : searchJourneys(uniqueFrom, uniqueTo, startSec, net, limit, dateStr);
     console.log('  Résultats :', journeys.length, journeys.map(j => j.dep_str + '->' + j.arr_str + ' (' + j.transfers + ' corresp)'));
 
+    // Le profil est complet : la page suivante commence juste après le dernier départ renvoyé
     const lastDep   = journeys.length ? Math.max(...journeys.map(j => j.dep_time||0)) : startSec;
-    const nextOffset = lastDep - timeToSeconds(timeStr);
+    const nextOffset = (journeys.length ? lastDep + 1 : lastDep) - originShift - timeToSeconds(timeStr);
 
     return jsonResp(res, {
       journeys,
@@ -845,24 +2879,49 @@ const server = http.createServer(async (req, res) => {
     const dateStr = q.date || '';
 
     if (!fromIds.length) return jsonResp(res, { error: 'from requis' }, 400);
+    if (dateStr && !isDateISO(dateStr)) return jsonResp(res, { error: 'date : YYYY-MM-DD' }, 400);
+
+    // Départs toutes les step minutes sur window (heure locale de l'origine) ;
+    // max_duration (min) et max_transfers éliminent les trajets trop longs
+    const win      = (q.window || '05:00-19:00').match(/^(\d{1,2}:\d{2})-(\d{1,2}:\d{2})$/);
+    const step     = parseInt(q.step || '120');
+    const maxDur   = q.max_duration  != null ? parseInt(q.max_duration)  : null;
+    const maxXfers = q.max_transfers != null ? parseInt(q.max_transfers) : null;
+    if (!win || timeToSeconds(win[2]) < timeToSeconds(win[1])) return jsonResp(res, { error: 'window : HH:MM-HH:MM' }, 400);
+    if (!(step >= 15)) return jsonResp(res, { error: 'step : minutes, 15 au moins' }, 400);
+    const nSlots   = Math.floor((timeToSeconds(win[2]) - timeToSeconds(win[1])) / (step * 60)) + 1;
+    if (nSlots > MAX_EXPLORE_SLOTS) {
+      return jsonResp(res, { error: `window / step : ${MAX_EXPLORE_SLOTS} départs au plus (${nSlots} demandés)` }, 400);
+    }
+    if (maxDur != null && !(maxDur > 0)) return jsonResp(res, { error: 'max_duration : minutes' }, 400);
+    if (maxXfers != null && !(maxXfers >= 0)) return jsonResp(res, { error: 'max_transfers : entier positif' }, 400);
+    const isochrone = q.mode === 'isochrone';
+    const bands     = isochrone ? isochroneBands(q.bands, maxDur) : null;
+    if (isochrone && !bands) return jsonResp(res, { error: 'bands : minutes croissantes, ex. 60,120,180' }, 400);
+    if (isochrone && !bands.length) return jsonResp(res, { error: 'bands : toutes au-delà de max_duration' }, 400);
 
-    console.log('\n[EXPLORE]', dateStr || 'sans date', '| from:', fromIds.slice(0,3).join(','));
+    console.log('\n[EXPLORE]', dateStr || 'sans date', '| from:', fromIds.slice(0,3).join(','), isochrone ? '| isochrone' : '');
 
-    const { stopToTrips: stt } = getFilteredData(dateStr);
+    const { net } = getFilteredData(dateStr);
     const uniqueFrom = resolveStopIds([...new Set(fromIds)], 'origin');
     const originSet  = new Set(uniqueFrom);
 
-    const slots = ['05:00','07:00','09:00','11:00','13:00','15:00','17:00','19:00'];
+    const slots = [];
+    for (let t = timeToSeconds(win[1]); t <= timeToSeconds(win[2]); t += step * 60) slots.push(t);
+    const maxRounds = maxXfers != null ? Math.min(maxXfers + 1, MAX_ROUNDS) : MAX_ROUNDS;
     const bestByStop = {};
+    const originShift = localToEngine(uniqueFrom.find(id => stops[id]) || uniqueFrom[0], 0, dateStr);
 
-    for (const timeStr of slots) {
-      const startSec = timeToSeconds(timeStr);
-      const reached  = raptorCore(uniqueFrom, null, startSec, stt, dateStr);
+    for (const slot of slots) {
+      const startSec = slot + originShift;
+      const reached  = raptorCore(uniqueFrom, null, startSec, net, dateStr, maxRounds);
       for (const j of reached) {
         const lastLeg = j.legs?.[j.legs.length - 1];
         if (!lastLeg) continue;
         const sid = lastLeg.to_id;
         if (originSet.has(sid)) continue;
+        if (maxDur != null && j.duration > maxDur) continue;
+        if (maxXfers != null && j.transfers > maxXfers) continue;
         if (!bestByStop[sid] || j.duration < bestByStop[sid].duration) {
           bestByStop[sid] = j;
         }
@@ -889,16 +2948,21 @@ const server = http.createServer(async (req, res) => {
       const lastLeg = j.legs?.[j.legs.length - 1];
       const destName = lastLeg?.to_name || cleanStopName(sid);
       const fallback = coordsByName.get(norm(destName));
-      const lat = coords?.lat || fallback?.lat || null;
-      const lon = coords?.lon || fallback?.lon || null;
+      const lat = coords?.lat || fallback?.lat || stops[sid]?.lat || null;
+      const lon = coords?.lon || fallback?.lon || stops[sid]?.lon || null;
       if (lat && lon) {
         j.dest_lat = lat;
         j.dest_lon = lon;
       }
+      j.dest_alerts = stopAlerts([sid], dateStr);
       journeys.push(j);
     }
 
     console.log(`  → ${journeys.length} destinations | ${Date.now()-t0}ms`);
+    if (isochrone) {
+      const origin = uniqueFrom.map(sid => coordsByStopId.get(sid) || (stops[sid]?.lat && { ...stops[sid] })).find(Boolean) || null;
+      return jsonResp(res, { ...isochroneGeoJSON(journeys, bands, origin, q.shape === 'hull'), computed_ms: Date.now()-t0 });
+    }
     return jsonResp(res, { journeys, computed_ms: Date.now()-t0 });
   }
 
@@ -906,37 +2970,43 @@ const server = http.createServer(async (req, res) => {
     const routeId = q.route;
     const stopId  = q.stop;
     const dateISO = q.date || '';
+    if (dateISO && !isDateISO(dateISO)) return jsonResp(res, { error: 'date : YYYY-MM-DD' }, 400);
 
     if (routeId) {
-      const tripsForRoute = routeTrips[routeId] || [];
+      // route RAPTOR (pattern) ou route GTFS : tous ses patterns
+      const rids = routeTrips[routeId] ? [routeId]
+        : Object.keys(routesInfo).filter(rid => routesInfo[rid].route_id === routeId);
+      const tripsForRoute = rids.flatMap(rid => routeTrips[rid] || []);
       const active = dateISO ? getActiveServices(dateISO) : null;
       const filtered = active ? tripsForRoute.filter(t => active.has(t.service_id)) : tripsForRoute;
       const out = filtered.map(t => ({
         trip_id:    t.trip_id,
         service_id: t.service_id,
-        stop_times: t.stop_times.map(st => ({
-          stop_id:   st.stop_id,
-          stop_name: cleanStopName(st.stop_id),
-          dep:       secondsToHHMM(st.dep_time),
-          arr:       secondsToHHMM(st.arr_time),
-          dep_raw:   st.dep_time,
+        stop_times: tripStops(t).map((sid, j) => ({
+          stop_id:   sid,
+          stop_name: cleanStopName(sid),
+          dep:       secondsToHHMM(rawDep(t, j)),
+          arr:       secondsToHHMM(rawArr(t, j)),
+          dep_raw:   rawDep(t, j),
         })),
       }));
-      return jsonResp(res, { route: routeId, date: dateISO||'sans filtre', info: routesInfo[routeId], trips: out });
+      return jsonResp(res, { route: routeId, date: dateISO||'sans filtre', info: rids.map(rid => ({ pattern_id: rid, ...routesInfo[rid] })), trips: out });
     }
 
     if (stopId) {
-      const { stopToTrips } = getFilteredData(dateISO);
-      const entries = stopToTrips[stopId] || [];
+      const { net } = getFilteredData(dateISO);
+      const entries = patternsAt(net, stopId).flatMap(p =>
+        p.pos[stopId].flatMap(idx => p.trips.map(trip => ({ routeId: p.routeId, trip, idx }))));
       const out = entries.map(({ routeId, trip, idx }) => {
-        const st = trip.stop_times[idx];
+        const dep = rawDep(trip, idx) ?? rawArr(trip, idx);
         return {
-          route_id:   routeId,
+          route_id:   gtfsRouteId(routeId),
+          pattern_id: routeId,
           route_name: (routesInfo[routeId]?.long || routesInfo[routeId]?.short || '').slice(0, 60),
           trip_id:    trip.trip_id,
           service_id: trip.service_id,
-          dep:        secondsToHHMM(st.dep_time ?? st.arr_time),
-          dep_raw:    st.dep_time ?? st.arr_time,
+          dep:        secondsToHHMM(dep),
+          dep_raw:    dep,
         };
       }).sort((a, b) => (a.dep_raw ?? 0) - (b.dep_raw ?? 0));
       return jsonResp(res, { stop: stopId, stop_name: cleanStopName(stopId), date: dateISO||'sans filtre', departures: out });
@@ -952,7 +3022,8 @@ const server = http.createServer(async (req, res) => {
   if (fs.existsSync(assetPath) && fs.statSync(assetPath).isFile()) return serveFile(res, assetPath);
 
   res.writeHead(404); res.end('Not found');
-});
+}
 
 initEngine();
+startRealtime();
 server.listen(PORT, () => console.log('🌐 http://localhost:' + PORT));
\ No newline at end of file
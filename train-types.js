@@ -0,0 +1,128 @@
+/**
+ * Types de train (train-types.json) partagés par gtfs-ingest.js et server.js
+ *
+ * L'ingestion classe chaque trip une fois (train_type de route_trips.bin) ;
+ * le serveur relit la table pour les noms affichés et les catégories
+ * (high-speed, intercity, regional, night), et classe à la volée les trips
+ * d'un engine_data qui n'a pas de train_type.
+ *
+ * Par opérateur, la première règle qui s'applique donne le type ; tous les
+ * critères d'une règle doivent correspondre :
+ *   quay               segment quai de l'arrêt de départ (regex "quay" de l'opérateur)
+ *   trip_id_regex      trip_id GTFS (insensible à la casse)
+ *   route_short_name   valeur ou liste (insensible à la casse)
+ *   route_name_regex   route_short_name + route_long_name (insensible à la casse)
+ *   train_number       [min, max], numéro extrait du trip_id (regex "train_number")
+ *
+ * Le numéro affiché (tableaux de gare, détail d'un trip) est extrait du
+ * trip_id par la regex "number" de l'opérateur, à défaut "train_number".
+ */
+
+const fs   = require('fs');
+const path = require('path');
+
+const CATEGORIES        = ['high-speed', 'intercity', 'regional', 'night'];
+const TRAIN_TYPES_FILE  = path.join(__dirname, 'train-types.json');
+const TRAIN_RULE_KEYS   = ['type', 'quay', 'trip_id_regex', 'route_short_name', 'route_name_regex', 'train_number'];
+
+function compileOperator(operatorId, conf, types) {
+  const where = `train-types.json, ${operatorId}`;
+  const check = (type, ctx) => {
+    if (!types[type]) throw new Error(`${where}${ctx} : type inconnu ${type}`);
+    return type;
+  };
+  const quayRe   = conf.quay         ? new RegExp(conf.quay)         : null;
+  const numberRe = conf.train_number ? new RegExp(conf.train_number) : null;
+  const displayRe = conf.number ? new RegExp(conf.number) : numberRe;
+
+  const rules = (conf.rules || []).map((r, i) => {
+    const ctx = `, règle ${i + 1}`;
+    const unknown = Object.keys(r).filter(k => !TRAIN_RULE_KEYS.includes(k));
+    if (unknown.length) throw new Error(`${where}${ctx} : critère inconnu ${unknown.join(', ')}`);
+    if (r.quay != null && !quayRe) throw new Error(`${where}${ctx} : quay sans regex "quay" pour l'opérateur`);
+    if (r.train_number && !numberRe) throw new Error(`${where}${ctx} : train_number sans regex "train_number" pour l'opérateur`);
+
+    const shorts  = r.route_short_name == null ? null : [].concat(r.route_short_name).map(s => String(s).toUpperCase());
+    const tripRe  = r.trip_id_regex    ? new RegExp(r.trip_id_regex, 'i')    : null;
+    const routeRe = r.route_name_regex ? new RegExp(r.route_name_regex, 'i') : null;
+    const [min, max] = r.train_number || [];
+
+    return {
+      type: check(r.type, ctx),
+      test: (t) =>
+        (r.quay == null || t.quay === r.quay) &&
+        (!tripRe  || tripRe.test(t.tripId)) &&
+        (!shorts  || shorts.includes(t.routeShort.toUpperCase())) &&
+        (!routeRe || routeRe.test(t.routeShort + ' ' + t.routeLong)) &&
+        (!r.train_number || (t.number !== null && t.number >= min && t.number <= max)),
+    };
+  });
+
+  return {
+    quayRe, numberRe, displayRe, rules,
+    defaultType: conf.default ? check(conf.default, ', default') : null,
+    routeName:   conf.route_name || 'route',
+  };
+}
+
+// → { classify, info, trainNumber, operatorRouteName, types, categories }
+function loadTrainTypes(file = TRAIN_TYPES_FILE) {
+  const conf  = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const types = conf.types || {};
+  for (const [id, t] of Object.entries(types)) {
+    if (!CATEGORIES.includes(t.category)) {
+      throw new Error(`train-types.json, ${id} : catégorie ${CATEGORIES.join(', ')} attendue, reçu « ${t.category} »`);
+    }
+  }
+  const fallback  = conf.default || 'TRAIN';
+  const operators = {};
+  for (const [id, op] of Object.entries(conf.operators || {})) operators[id] = compileOperator(id, op, types);
+
+  return {
+    types,
+    categories: CATEGORIES,
+
+    // trip : { stopId, tripId, routeShort, routeLong } (trip_id GTFS, sans préfixe opérateur)
+    classify(operatorId, trip) {
+      const op = operators[operatorId];
+      if (!op) return fallback;
+      const t = {
+        tripId:     trip.tripId     || '',
+        routeShort: (trip.routeShort || '').trim(),
+        routeLong:  (trip.routeLong  || '').trim(),
+        quay:       null,
+        number:     null,
+      };
+      if (op.quayRe) {
+        const m = (trip.stopId || '').match(op.quayRe);
+        t.quay = m ? m[1].trim() : '';
+      }
+      if (op.numberRe) {
+        const m = t.tripId.match(op.numberRe);
+        t.number = m ? parseInt(m[1]) : null;
+      }
+      const rule = op.rules.find(r => r.test(t));
+      return rule ? rule.type : (op.defaultType || fallback);
+    },
+
+    // { id, name, category } ; un type absent de la table garde son id pour nom
+    info(type) {
+      const t = types[type];
+      return { id: type, name: t ? t.name : type, category: t ? t.category : null };
+    },
+
+    // Numéro commercial du train (trip_id GTFS, sans préfixe opérateur) ; null si inconnu
+    trainNumber(operatorId, tripId) {
+      const re = operators[operatorId]?.displayRe;
+      const m  = re && (tripId || '').match(re);
+      return m ? m[1].replace(/^0+(?=\d)/, '') : null;
+    },
+
+    // 'type' : la route s'affiche sous le nom du type (flux sans route_short_name utile)
+    operatorRouteName(operatorId) {
+      return operators[operatorId]?.routeName || 'route';
+    },
+  };
+}
+
+module.exports = { TRAIN_TYPES_FILE, loadTrainTypes };